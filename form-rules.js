@@ -0,0 +1,2989 @@
+/**
+ * Copyright 2008 Google Inc.  All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Validation rules that do not depend on the DOM. These are
+ * used by forms.Validation in the browser, and can be used on their own to
+ * validate plain objects of field values, e.g. in Node:
+ *
+ *   var Rules = require('./form-rules.js');
+ *   var report = new Rules().validate({'email': 'user@example.com'},
+ *                                     {'email': ['required', 'email']});
+ *
+ * In the browser, this file provides forms.Rules, which form-validation.js
+ * requires, so it must be loaded first.
+ * Please see http://code.google.com/p/valid-forms/ for usage.
+ */
+
+
+/**
+ * Outside of Closure, e.g. in Node, define the few parts of goog this file
+ * uses, and the forms namespace that goog.provide would create.
+ */
+if (typeof goog === 'undefined') {
+  var goog = {
+    provide: function(name) {},
+    require: function(name) {},
+    exportSymbol: function(publicPath, object) {},
+    exportProperty: function(object, publicName, symbol) {
+      object[publicName] = symbol;
+    }
+  };
+  /**
+   * {Object} forms Container object for form related scripts.
+   */
+  var forms = {};
+}
+
+goog.provide('forms.Rules');
+
+/**
+ * {Object} forms.Rules Validation rules and the validators that check them.
+ * @constructor
+ * @export
+ */
+forms.Rules = function() {
+  this.validators_ = {};
+  this.detectors_ = {};
+  this.patterns_ = {};
+  this.addValidator('email', function(value, args) {
+    return this.isValidEmail_(value, args);
+  });
+  this.addValidator('url', function(value, args) {
+    return this.isValidUrl_(value, args);
+  });
+  this.addValidator('creditcard', function(value, args) {
+    return this.isValidCard_(value, args);
+  }, function(value) {
+    return this.cardBrand_(this.stripSeparators_(value));
+  });
+  this.addValidator('iban', function(value, args) {
+    return this.isValidIban_(value, args);
+  }, function(value) {
+    return this.stripSeparators_(value).substring(0, 2).toUpperCase() ||
+        null;
+  });
+  this.addValidator('isbn', function(value, args) {
+    return this.isValidIsbn_(value, args);
+  }, function(value) {
+    var length = this.stripSeparators_(value).length;
+    return (length === 10 || length === 13) ? 'isbn' + length : null;
+  });
+  this.addValidator('ean', function(value, args) {
+    var digits = this.stripSeparators_(value);
+    return (!args.length || args.indexOf(String(digits.length)) > -1) &&
+        this.isValidGtin_(digits);
+  }, function(value) {
+    var names = {8: 'ean8', 12: 'upc', 13: 'ean13', 14: 'gtin14'};
+    return names[this.stripSeparators_(value).length] || null;
+  });
+  this.addValidator('upc', function(value) {
+    var digits = this.stripSeparators_(value);
+    return digits.length === 12 && this.isValidGtin_(digits);
+  });
+  this.addValidator('vat', function(value, args) {
+    return this.isValidNationalNumber_(this.vatNumbers, value, args);
+  }, function(value) {
+    return this.detectCountry_(this.vatNumbers, value);
+  });
+  this.addValidator('nationalid', function(value, args) {
+    return this.isValidNationalNumber_(this.nationalIds, value, args);
+  }, function(value) {
+    return this.detectCountry_(this.nationalIds, value);
+  });
+  this.addValidator('password', function(value, args, field, form) {
+    return !this.passwordStrength(value, args, form)['problems'].length;
+  });
+  this.addValidator('file', function(value, args, field) {
+    return this.isValidFile_(value, args, field);
+  });
+  this.validators_['upload'] = this.validators_['file'];
+  this.addValidator('len', function(value, args) {
+    return this.isValidLength_(value, Number(args[0] || 0),
+        (args.length > 1 && args[1] !== null) ? Number(args[1]) : null);
+  });
+  this.addValidator('match', function(value, args, field, form) {
+    return this.isEqual_(value, this.getValue(form, args[0]));
+  });
+  this.validators_['eq'] = this.validators_['equal'] =
+      this.validators_['match'];
+  this.addValidator('required', function(value) {
+    return this.hasValue_(value);
+  });
+  this.validators_['error'] = this.validators_['required'];
+  this.addValidator('integer', function(value) {
+    var number = this.parseNumber_(value);
+    return !isNaN(number) && Math.floor(number) === number;
+  });
+  this.addValidator('min', function(value, args) {
+    return this.isValidNumber_(value, args[0], null);
+  });
+  this.addValidator('max', function(value, args) {
+    return this.isValidNumber_(value, null, args[0]);
+  });
+  this.addValidator('range', function(value, args) {
+    return this.isValidNumber_(value, args[0], args[1]);
+  });
+  this.addValidator('step', function(value, args) {
+    return this.isValidStep_(value, args[0], args[1] || 0);
+  });
+  this.addValidator('count', function(value, args) {
+    var count = (value instanceof Array) ? value.length : value ? 1 : 0;
+    return this.isValidNumber_(String(count), args[0] || '0',
+                               args.length > 1 ? args[1] : null);
+  });
+  this.addValidator('pattern', function(value, args) {
+    var exp = this.patternExp_(args[0]);
+    return !exp || exp.test(value);
+  });
+  this.addValidator('date', function(value, args) {
+    return !!this.parseDate_(value, args[0]);
+  });
+  this.addValidator('past', function(value, args) {
+    var date = this.parseDate_(value, args[0]);
+    return !!date && date <= new Date();
+  });
+  this.addValidator('future', function(value, args) {
+    var date = this.parseDate_(value, args[0]);
+    return !!date && date > new Date();
+  });
+  this.addValidator('age', function(value, args) {
+    return this.isValidAge_(value, args);
+  });
+  this.addValidator('after', function(value, args, field, form) {
+    return this.isValidDateOrder_(value, args, form, true);
+  });
+  this.addValidator('before', function(value, args, field, form) {
+    return this.isValidDateOrder_(value, args, form, false);
+  });
+
+  this.normalizers_ = {};
+  this.addNormalizer('trim', function(value) {
+    return value.replace(/^\s+|\s+$/g, '');
+  });
+  this.addNormalizer('collapse', function(value) {
+    return value.replace(/\s+/g, ' ');
+  });
+  this.addNormalizer('lowercase', function(value) {
+    return value.toLowerCase();
+  });
+  this.addNormalizer('uppercase', function(value) {
+    return value.toUpperCase();
+  });
+  this.addNormalizer('digits', function(value) {
+    return value.replace(/\D/g, '');
+  });
+  this.addNormalizer('nfc', function(value) {
+    return value.normalize ? value.normalize('NFC') : value;
+  });
+  this.addNormalizer('phone', function(value, args) {
+    return this.normalizePhone_(value, args[0]);
+  });
+  this.addNormalizer('postcode', function(value, args) {
+    return this.normalizePostcode_(value, args[0]);
+  });
+
+  this.validationExp = {};
+  // Alphabet characters only.
+  this.validationExp['alpha'] = new RegExp('^[a-zA-Z\\u00c0-\\u00ff]+$');
+  // AlphaNumeric characters only.
+  this.validationExp['alphanum'] = new RegExp(
+      '^[a-zA-Z0-9\\u00c0-\\u00ff]+$');
+  /**
+   * Domain expression (e.g. example.com, www.example.com). Labels are
+   * letters, digits and hyphens, and the top-level domain is letters or
+   * punycode, so that new top-level domains are accepted.
+   */
+  this.validationExp['domain'] = new RegExp(
+      '^(?:[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?\\.)+' +
+      '(?:[a-zA-Z]{2,63}|xn--[a-zA-Z0-9-]{1,59})$');
+  // Email local piece expression (everything before the @), as a dot-atom.
+  this.validationExp['email-local'] = new RegExp(
+      '^[a-zA-Z0-9!#$%&\'*+/=?^_`{|}~-]+' +
+      '(?:\\.[a-zA-Z0-9!#$%&\'*+/=?^_`{|}~-]+)*$');
+  // Internationalized email local piece, which may also use UTF-8.
+  this.validationExp['email-local-idn'] = new RegExp(
+      '^[a-zA-Z0-9!#$%&\'*+/=?^_`{|}~\\u0080-\\uffff-]+' +
+      '(?:\\.[a-zA-Z0-9!#$%&\'*+/=?^_`{|}~\\u0080-\\uffff-]+)*$');
+  // Quoted email local piece (e.g. "john doe").
+  this.validationExp['email-quoted'] = new RegExp(
+      '^"(?:[\\x20\\x21\\x23-\\x5b\\x5d-\\x7e]|\\\\[\\x20-\\x7e])*"$');
+  // Numeric characters only.
+  this.validationExp['num'] = new RegExp('^\\d+$');
+  // Phone (e.g. 1-555-555-5555, 555.555.5555, +1-555-555-5555, 5555555555).
+  this.validationExp['phone'] = new RegExp('^[0-9.()+ -]{10,25}$');
+
+  this.topLevelDomains_ = null;
+
+  /**
+   * Postal code formats, keyed by the lower case country code used in args
+   * of the postcode normalizer. Codes are matched in upper case without
+   * spaces or hyphens, and rewritten with the format.
+   * @type {Object}
+   */
+  this.postcodeFormats = {
+    'br': {exp: /^(\d{5})(\d{3})$/, format: '$1-$2'},
+    'ca': {exp: /^([A-Z]\d[A-Z])(\d[A-Z]\d)$/, format: '$1 $2'},
+    'gb': {exp: /^([A-Z]{1,2}\d[A-Z\d]?)(\d[A-Z]{2})$/, format: '$1 $2'},
+    'nl': {exp: /^(\d{4})([A-Z]{2})$/, format: '$1 $2'},
+    'pl': {exp: /^(\d{2})(\d{3})$/, format: '$1-$2'},
+    'se': {exp: /^(\d{3})(\d{2})$/, format: '$1 $2'},
+    'us': {exp: /^(\d{5})(\d{4})?$/, format: '$1-$2'}
+  };
+
+  /**
+   * Domains of disposable email services, rejected by email-nodisposable
+   * along with their subdomains. Add to it as needed.
+   * @type {Array}
+   */
+  this.disposableDomains = ['10minutemail.com', 'discard.email',
+      'dispostable.com', 'fakeinbox.com', 'getnada.com', 'guerrillamail.com',
+      'mailinator.com', 'maildrop.cc', 'sharklasers.com', 'temp-mail.org',
+      'tempmail.com', 'throwawaymail.com', 'trashmail.com', 'yopmail.com'];
+
+  /**
+   * Payment card brands, checked in order, with the number prefixes and
+   * lengths of each. The names are used as args of the creditcard rule.
+   * @type {Array}
+   */
+  this.cardBrands = [
+    {name: 'amex', exp: /^3[47]/, lengths: [15]},
+    {name: 'diners', exp: /^3(?:0[0-5]|[689])/,
+     lengths: [14, 15, 16, 17, 18, 19]},
+    {name: 'jcb', exp: /^35(?:2[89]|[3-8])/, lengths: [16, 17, 18, 19]},
+    {name: 'visa', exp: /^4/, lengths: [13, 16, 19]},
+    {name: 'mc', exp: /^(?:5[1-5]|222[1-9]|22[3-9]\d|2[3-6]\d\d|27[01]\d|2720)/,
+     lengths: [16]},
+    {name: 'discover',
+     exp: new RegExp('^(?:6011|64[4-9]|65|' +
+                     '622(?:12[6-9]|1[3-9]\\d|[2-8]\\d\\d|9[01]\\d|92[0-5]))'),
+     lengths: [16, 17, 18, 19]},
+    {name: 'unionpay', exp: /^62/, lengths: [16, 17, 18, 19]},
+    {name: 'maestro', exp: /^(?:50|5[6-9]|6)/,
+     lengths: [12, 13, 14, 15, 16, 17, 18, 19]}
+  ];
+
+  /**
+   * Lengths of IBANs, keyed by country code.
+   * @type {Object}
+   */
+  this.ibanLengths = {
+    'AD': 24, 'AE': 23, 'AL': 28, 'AT': 20, 'AZ': 28, 'BA': 20, 'BE': 16,
+    'BG': 22, 'BH': 22, 'BR': 29, 'BY': 28, 'CH': 21, 'CR': 22, 'CY': 28,
+    'CZ': 24, 'DE': 22, 'DK': 18, 'DO': 28, 'EE': 20, 'EG': 29, 'ES': 24,
+    'FI': 18, 'FO': 18, 'FR': 27, 'GB': 22, 'GE': 22, 'GI': 23, 'GL': 18,
+    'GR': 27, 'GT': 28, 'HR': 21, 'HU': 28, 'IE': 22, 'IL': 23, 'IQ': 23,
+    'IS': 26, 'IT': 27, 'JO': 30, 'KW': 30, 'KZ': 20, 'LB': 28, 'LC': 32,
+    'LI': 21, 'LT': 20, 'LU': 20, 'LV': 21, 'MC': 27, 'MD': 24, 'ME': 22,
+    'MK': 19, 'MR': 27, 'MT': 31, 'MU': 30, 'NL': 18, 'NO': 15, 'PK': 24,
+    'PL': 28, 'PS': 29, 'PT': 25, 'QA': 29, 'RO': 24, 'RS': 22, 'SA': 24,
+    'SC': 31, 'SE': 24, 'SI': 19, 'SK': 24, 'SM': 27, 'ST': 25, 'SV': 28,
+    'TL': 23, 'TN': 24, 'TR': 26, 'UA': 29, 'VA': 22, 'VG': 24, 'XK': 20
+  };
+
+  /**
+   * VAT numbers, keyed by the lower case country code used in rule args.
+   * Each has an expression for the number, with its country prefix, and
+   * optionally a check of the digits it captures.
+   * @type {Object}
+   */
+  this.vatNumbers = {
+    'at': {exp: /^ATU(\d{8})$/, check: this.checkVatAt_},
+    'be': {exp: /^BE([01]\d{9})$/, check: function(digits) {
+      return 97 - Number(digits.substring(0, 8)) % 97 ===
+          Number(digits.substring(8));
+    }},
+    'de': {exp: /^DE([1-9]\d{8})$/, check: this.checkVatDe_},
+    'es': {exp: /^ES([A-Z0-9]\d{7}[A-Z0-9])$/},
+    'fr': {exp: /^FR([A-HJ-NP-Z0-9]{2}\d{9})$/, check: function(digits) {
+      return !/^\d\d/.test(digits) || Number(digits.substring(0, 2)) ===
+          (12 + 3 * (Number(digits.substring(2)) % 97)) % 97;
+    }},
+    'gb': {exp: /^GB(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/,
+           check: this.checkVatGb_},
+    'it': {exp: /^IT(\d{11})$/, check: this.isValidLuhn_},
+    'nl': {exp: /^NL(\d{9}B\d{2})$/, check: function(digits) {
+      return this.isValidElfProef_(digits.substring(0, 9)) ||
+          this.mod97_('NL' + digits) === 1;
+    }}
+  };
+
+  /**
+   * National identity numbers, keyed by the lower case country code used in
+   * rule args, in the same format as vatNumbers.
+   * @type {Object}
+   */
+  this.nationalIds = {
+    // Spanish DNI and NIE (e.g. 12345678Z, X1234567L).
+    'es': {exp: /^([XYZ]?\d{7,8}[A-Z])$/, check: function(id) {
+      var number = id.slice(0, -1).replace(/^[XYZ]/, function(letter) {
+        return String('XYZ'.indexOf(letter));
+      });
+      return number.length === 8 && id.slice(-1) ===
+          'TRWAGMYFPDXBNJZSQVHLCKE'.charAt(Number(number) % 23);
+    }},
+    // Dutch BSN (e.g. 111222333).
+    'nl': {exp: /^(\d{9})$/, check: this.isValidElfProef_},
+    // Swedish personnummer (e.g. 811228-9874 or 19811228-9874).
+    'se': {exp: /^(?:\d{2})?(\d{2}(\d{2})(\d{2})\d{4})$/,
+           check: function(digits, month, day) {
+      return Number(month) >= 1 && Number(month) <= 12 &&
+          ((Number(day) >= 1 && Number(day) <= 31) ||
+           (Number(day) >= 61 && Number(day) <= 91)) &&
+          this.isValidLuhn_(digits);
+    }},
+    // US Social Security number (e.g. 123-45-6789).
+    'us': {exp: /^((?!000|666|9\d\d)\d{3}(?!00)\d{2}(?!0000)\d{4})$/}
+  };
+
+  /**
+   * Default policy of the password rule, which its args override. See
+   * parsePasswordArgs_.
+   * @type {Object}
+   */
+  this.passwordPolicy = {
+    'minLength': 8,
+    'require': [],
+    'minClasses': 0,
+    'minEntropy': 0,
+    'maxRepeat': 0,
+    'maxSequence': 0,
+    'blocklist': false
+  };
+
+  /**
+   * Common passwords, rejected by password-blocklist. Compared without case
+   * and trailing digits or symbols, so password123! is rejected too.
+   * @type {Array}
+   */
+  this.commonPasswords = ['123456', '12345678', '123456789', '1234567890',
+      '111111', '000000', 'abc123', 'admin', 'baseball', 'dragon',
+      'football', 'iloveyou', 'letmein', 'login', 'master', 'monkey',
+      'passw0rd', 'password', 'princess', 'qwerty', 'qwertyuiop', 'shadow',
+      'starwars', 'sunshine', 'superman', 'trustno1', 'welcome', 'whatever'];
+
+  this.fileTypes = {};
+  /**
+   * Audio files.
+   * @type {Array}
+   */
+  this.fileTypes['audio'] = ['mp3', 'mp4', 'flac', 'ogg', 'wma', 'wav'];
+  /**
+   * Image files.
+   * @type {Array}
+   */
+  this.fileTypes['image'] = ['bmp', 'gif', 'jpg', 'jpeg', 'png', 'tif',
+      'raw'];
+  /**
+   * PDF files.
+   * @type {Array}
+   */
+  this.fileTypes['pdf'] = ['pdf'];
+  /**
+   * Text files.
+   * @type {Array}
+   */
+  this.fileTypes['text'] = ['txt'];
+  /**
+   * HTML files.
+   * @type {Array}
+   */
+  this.fileTypes['html'] = ['html', 'htm'];
+  /**
+   * Video files.
+   * @type {Array}
+   */
+  this.fileTypes['video'] = ['mov', 'mpeg', 'mpg', 'avi', 'ogm', 'wmv'];
+
+  this.dateFormats = {};
+  /**
+   * ISO 8601 dates, with an optional time (e.g. 2012-02-28,
+   * 2012-02-28T15:07). This is the format of date and datetime-local inputs.
+   * @type {Object}
+   */
+  this.dateFormats['iso'] = {
+    exp: /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/,
+    order: 'ymd'
+  };
+  /**
+   * US dates (e.g. 02/28/2012).
+   * @type {Object}
+   */
+  this.dateFormats['mdy'] = {exp: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/,
+                             order: 'mdy'};
+  /**
+   * European dates (e.g. 28.02.2012).
+   * @type {Object}
+   */
+  this.dateFormats['dmy'] = {exp: /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/,
+                             order: 'dmy'};
+};
+
+
+/**
+ * Filetypes and related extensions used in file upload validation.
+ * @type {Object}
+ */
+forms.Rules.prototype.fileTypes = {};
+/**
+ * Functions that report what a validator detected in a value, such as the
+ * brand of a payment card, keyed by method name.
+ * @type {Object}
+ * @private
+ */
+forms.Rules.prototype.detectors_ = {};
+/**
+ * Payment card brands.
+ * @type {Array}
+ */
+forms.Rules.prototype.cardBrands = [];
+/**
+ * Lengths of IBANs, keyed by country code.
+ * @type {Object}
+ */
+forms.Rules.prototype.ibanLengths = {};
+/**
+ * VAT number formats, keyed by country code.
+ * @type {Object}
+ */
+forms.Rules.prototype.vatNumbers = {};
+/**
+ * National identity number formats, keyed by country code.
+ * @type {Object}
+ */
+forms.Rules.prototype.nationalIds = {};
+/**
+ * Default password policy.
+ * @type {Object}
+ */
+forms.Rules.prototype.passwordPolicy = {};
+/**
+ * Common passwords.
+ * @type {Array}
+ */
+forms.Rules.prototype.commonPasswords = [];
+/**
+ * Known top-level domains, keyed by lower case name, or null until they are
+ * first needed or set with setTopLevelDomains.
+ * @type {Object}
+ * @private
+ */
+forms.Rules.prototype.topLevelDomains_ = null;
+/**
+ * Domains of disposable email services.
+ * @type {Array}
+ */
+forms.Rules.prototype.disposableDomains = [];
+/**
+ * Validation functions, keyed by method name.
+ * @type {Object}
+ * @private
+ */
+forms.Rules.prototype.validators_ = {};
+/**
+ * Methods that validate the array of values of a field with several values,
+ * such as a checkbox group, as a whole. Other methods validate each value.
+ * @type {Object}
+ */
+forms.Rules.prototype.multiValue = {'count': true, 'error': true,
+                                    'file': true, 'required': true,
+                                    'upload': true};
+/**
+ * Leading bytes of files of each extension, used to check that the content
+ * of a file matches its claimed type. Extensions without signatures are not
+ * checked.
+ * @type {Object}
+ */
+forms.Rules.prototype.fileSignatures = {
+  'bmp': [[0x42, 0x4D]],
+  'gif': [[0x47, 0x49, 0x46, 0x38]],
+  'jpeg': [[0xFF, 0xD8, 0xFF]],
+  'jpg': [[0xFF, 0xD8, 0xFF]],
+  'mp3': [[0x49, 0x44, 0x33], [0xFF, 0xFB], [0xFF, 0xF3], [0xFF, 0xF2]],
+  'ogg': [[0x4F, 0x67, 0x67, 0x53]],
+  'pdf': [[0x25, 0x50, 0x44, 0x46]],
+  'png': [[0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]],
+  'tif': [[0x49, 0x49, 0x2A, 0x00], [0x4D, 0x4D, 0x00, 0x2A]],
+  'wav': [[0x52, 0x49, 0x46, 0x46]]
+};
+/**
+ * Compiled patterns of pattern rules, keyed by pattern, or null for those
+ * that are invalid.
+ * @type {Object}
+ * @private
+ */
+forms.Rules.prototype.patterns_ = {};
+/**
+ * Normalization functions, keyed by name.
+ * @type {Object}
+ * @private
+ */
+forms.Rules.prototype.normalizers_ = {};
+/**
+ * Postal code formats, keyed by country code.
+ * @type {Object}
+ */
+forms.Rules.prototype.postcodeFormats = {};
+/**
+ * Form validation expressions for complex strings.
+ * @type {Object}
+ */
+forms.Rules.prototype.validationExp = {};
+/**
+ * Date formats used by the date rules, keyed by the name used in rule args.
+ * Each has an expression whose first three groups are the year, month and
+ * day in the given order, optionally followed by hours, minutes and seconds.
+ * @type {Object}
+ */
+forms.Rules.prototype.dateFormats = {};
+
+/**
+ * Registers a validation function. For example, after
+ * addValidator('reserved', fn), the rule 'reserved-admin-root' calls fn with
+ * the args ['admin', 'root']. Registering an existing name replaces it.
+ * Validators are called with this set to the forms.Rules instance. They may
+ * return a Promise that resolves to the result instead.
+ * @this forms.Rules
+ * @param {string} name Method name used in rules.
+ * @param {function(string, Array, *, Object): (boolean|Promise)} fn
+ *     Called with the field value, the rule args, the field and the form.
+ *     When used through forms.Validation, the field and the form are HTML
+ *     elements. Otherwise they are the field name and the object of values.
+ *     Returns true if the value passes.
+ * @param {function(string): ?string=} opt_detect Called with the field
+ *     value, returns what it detected in the value, such as the brand of a
+ *     payment card, or null. This is added to validation reports.
+ */
+forms.Rules.prototype.addValidator = function(name, fn, opt_detect) {
+  this.validators_[name] = fn;
+  if (opt_detect) {
+    this.detectors_[name] = opt_detect;
+  } else {
+    delete this.detectors_[name];
+  }
+};
+
+/**
+ * Reports what the validators of some rules detected in a value, such as
+ * the brand of a payment card or the country of an IBAN.
+ * @this forms.Rules
+ * @param {Array} rules Rules, each with a method and args.
+ * @param {*} value Field value.
+ * @return {Object} What was detected, keyed by method name, or null if
+ *     nothing was.
+ */
+forms.Rules.prototype.detect = function(rules, value) {
+  var detected = null;
+
+  for (var i = 0, len = rules.length; i < len; i++) {
+    var detector = this.detectors_[rules[i]['method']];
+    var result = (detector && typeof value === 'string' && value) ?
+        detector.call(this, value) : null;
+    if (result) {
+      detected = detected || {};
+      detected[rules[i]['method']] = result;
+    }
+  }
+  return detected;
+};
+
+/**
+ * Checks if a validator has been registered under a method name.
+ * @this forms.Rules
+ * @param {string} name Method name.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.hasValidator = function(name) {
+  return this.validators_.hasOwnProperty(name);
+};
+
+/**
+ * Returns the value of another field, for rules that compare fields.
+ * forms.Validation replaces this to read values from the HTML form.
+ * @param {Object} form Object of field values.
+ * @param {string} name Name of the field.
+ * @return {*} Field value.
+ */
+forms.Rules.prototype.getValue = function(form, name) {
+  return form[name];
+};
+
+/**
+ * Splits a rule into its method and args, e.g. 'len-0-10' into
+ * {'method': 'len', 'args': ['0', '10']}. A hyphen directly before a number
+ * that follows another hyphen is a minus sign, so 'range--40-60' has the
+ * args ['-40', '60']. Rules that are already objects are returned as they
+ * are.
+ * @param {string|Object} rule Rule string or object.
+ * @return {Object} Validation identifier and arguments.
+ */
+forms.Rules.prototype.parseRule = function(rule) {
+  if (typeof rule !== 'string') {
+    return {'method': rule['method'], 'args': rule['args'] || []};
+  }
+  var classArgs = rule.split('-');
+  var args = {'method': '', 'args': []};
+  /**
+   * Loop the classArgs array and remove any empty elements. An empty element
+   * followed by a number means the number is negative.
+   */
+  var cleanArgs = [];
+  for (var i = 0, len = classArgs.length; i < len; i++) {
+    if (classArgs[i].length) {
+      cleanArgs.push(classArgs[i]);
+    } else if (i > 0 && /^[0-9.]/.test(classArgs[i + 1] || '')) {
+      classArgs[i + 1] = '-' + classArgs[i + 1];
+    }
+  }
+
+  switch (cleanArgs.length) {
+    case 0:
+      args['method'] = '';
+      break;
+    case 1:
+      args['method'] = cleanArgs[0];
+      break;
+    default:
+      args['method'] = cleanArgs[0];
+      for (var i = 1, len = cleanArgs.length; i < len; i++) {
+        args['args'].push(cleanArgs[i]);
+      }
+      break;
+  }
+  return args;
+};
+
+/**
+ * Parses rules written as method calls, as in the data-rules attribute,
+ * e.g. 'required len(2, 40) match(billing-email)' into
+ * [{'method': 'required', 'args': []},
+ *  {'method': 'len', 'args': ['2', '40']},
+ *  {'method': 'match', 'args': ['billing-email']}].
+ * Args are separated by commas and may contain hyphens and indexes, as in
+ * match(items[3][qty]). Args with commas, parentheses or quotes must be
+ * quoted with ' or ", and \ escapes a quote. Lists in square brackets are
+ * spread into the args, to group values: if(country, [US, CA]) is the same
+ * as if(country, US, CA).
+ * @this forms.Rules
+ * @param {string} text Rules.
+ * @return {Array} Rules, each with a method and args.
+ * @throws {SyntaxError} If the rules cannot be parsed.
+ */
+forms.Rules.prototype.parseRules = function(text) {
+  var state = {text: text, pos: 0};
+  var rules = [];
+
+  this.skipSpace_(state);
+  while (state.pos < text.length) {
+    var name = /^[a-zA-Z_$][\w$]*/.exec(text.substring(state.pos));
+    if (!name) {
+      this.syntaxError_(state, 'a rule name');
+    }
+    state.pos += name[0].length;
+    var args = [];
+    if (text.charAt(state.pos) === '(') {
+      state.pos++;
+      args = this.parseArgs_(state, ')');
+    } else if (state.pos < text.length && !/\s/.test(text.charAt(state.pos))) {
+      this.syntaxError_(state, '( or a space');
+    }
+    rules.push({'method': name[0], 'args': args});
+    this.skipSpace_(state);
+  }
+  return rules;
+};
+
+/**
+ * Parses the args of a rule, or the values of a list, up to the closing
+ * bracket.
+ * @private
+ * @this forms.Rules
+ * @param {Object} state Text being parsed and the position in it.
+ * @param {string} close Closing bracket.
+ * @return {Array} Args.
+ */
+forms.Rules.prototype.parseArgs_ = function(state, close) {
+  var args = [];
+
+  this.skipSpace_(state);
+  if (state.text.charAt(state.pos) === close) {
+    state.pos++;
+    return args;
+  }
+  while (true) {
+    this.skipSpace_(state);
+    var c = state.text.charAt(state.pos);
+    if (c === '"' || c === '\'') {
+      args.push(this.parseString_(state));
+    } else if (c === '[') {
+      state.pos++;
+      args = args.concat(this.parseArgs_(state, ']'));
+    } else {
+      var value = /^(?:[^,()\[\]'"]|\[[^\[\],()'"]*\])*/.exec(
+          state.text.substring(state.pos))[0];
+      if (!/\S/.test(value)) {
+        this.syntaxError_(state, 'a value');
+      }
+      state.pos += value.length;
+      args.push(value.replace(/^\s+|\s+$/g, ''));
+    }
+    this.skipSpace_(state);
+    c = state.text.charAt(state.pos++);
+    if (c === close) {
+      return args;
+    }
+    if (c !== ',') {
+      state.pos--;
+      this.syntaxError_(state, ', or ' + close);
+    }
+  }
+};
+
+/**
+ * Parses a quoted string.
+ * @private
+ * @this forms.Rules
+ * @param {Object} state Text being parsed and the position of the quote.
+ * @return {string} String, without quotes.
+ */
+forms.Rules.prototype.parseString_ = function(state) {
+  var quote = state.text.charAt(state.pos++);
+  var value = '';
+
+  while (state.pos < state.text.length) {
+    var c = state.text.charAt(state.pos++);
+    if (c === quote) {
+      return value;
+    }
+    value += (c === '\\') ? state.text.charAt(state.pos++) : c;
+  }
+  return this.syntaxError_(state, 'a closing ' + quote);
+};
+
+/**
+ * Skips white space.
+ * @private
+ * @param {Object} state Text being parsed and the position in it.
+ */
+forms.Rules.prototype.skipSpace_ = function(state) {
+  while (/\s/.test(state.text.charAt(state.pos))) {
+    state.pos++;
+  }
+};
+
+/**
+ * Throws an error for rules that cannot be parsed.
+ * @private
+ * @param {Object} state Text being parsed and the position of the error.
+ * @param {string} expected What was expected at that position.
+ * @throws {SyntaxError}
+ */
+forms.Rules.prototype.syntaxError_ = function(state, expected) {
+  throw new SyntaxError('Invalid rules "' + state.text + '": expected ' +
+                        expected + ' at position ' + state.pos + '.');
+};
+
+/**
+ * Checks if a method is a condition rather than a validator. Conditions
+ * decide whether the other rules of an error message apply at all:
+ * if-country-US applies them only when the field country has the value US,
+ * and unless-byphone applies them only when byphone has no value, e.g. is
+ * an unchecked checkbox. Any number of values may be given, in which case
+ * the field must have one of them. A required-if rule is written as
+ * if-country-US required.
+ * @param {string} method Method name.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isCondition = function(method) {
+  return method === 'if' || method === 'unless';
+};
+
+/**
+ * Checks that all conditions among a list of rules are met.
+ * @this forms.Rules
+ * @param {Array} rules Parsed rules, which may include other rules.
+ * @param {Object} form Form, or object of values, the rules belong to.
+ * @return {boolean} True if the rules apply.
+ */
+forms.Rules.prototype.testConditions = function(rules, form) {
+  for (var i = 0, len = rules.length; i < len; i++) {
+    var rule = rules[i];
+    if (this.isCondition(rule['method']) &&
+        this.isConditionMet_(rule['args'], form) !==
+            (rule['method'] === 'if')) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Checks if another field has a value, or one of the given values. Fields
+ * with several values, such as checkbox groups, have their values given as
+ * arrays, and match if any of them does.
+ * @private
+ * @this forms.Rules
+ * @param {Array} args The name of the other field, then the values.
+ * @param {Object} form Form, or object of values, the field belongs to.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isConditionMet_ = function(args, form) {
+  var value = this.getValue(form, args[0]);
+  var values = (value instanceof Array) ? value : [value];
+
+  for (var i = 0, len = values.length; i < len; i++) {
+    if (values[i] === null || typeof values[i] === 'undefined' ||
+        values[i] === false || values[i] === '') {
+      continue;
+    }
+    if (args.length < 2) {
+      return true;
+    }
+    for (var j = 1; j < args.length; j++) {
+      if (String(values[i]) === String(args[j])) {
+        return true;
+      }
+    }
+  }
+  return false;
+};
+
+/**
+ * Compiles the pattern of a pattern rule, as in the HTML5 pattern attribute,
+ * which must match the whole value. Patterns are compiled once. Invalid
+ * patterns are ignored, as browsers do, instead of throwing while the form
+ * is validated.
+ * @private
+ * @this forms.Rules
+ * @param {string} pattern Regular expression source.
+ * @return {RegExp} Expression, or null if the pattern is invalid.
+ */
+forms.Rules.prototype.patternExp_ = function(pattern) {
+  if (!this.patterns_.hasOwnProperty(pattern)) {
+    try {
+      this.patterns_[pattern] = new RegExp('^(?:' + pattern + ')$');
+    } catch (e) {
+      this.patterns_[pattern] = null;
+    }
+  }
+  return this.patterns_[pattern];
+};
+
+/**
+ * Registers a normalization function, used in normalize rules. Registering
+ * an existing name replaces it.
+ * @this forms.Rules
+ * @param {string} name Normalizer name used in rule args.
+ * @param {function(string, Array): string} fn Called with this set to the
+ *     forms.Rules instance, with the value and the normalizer's args, and
+ *     returns the normalized value.
+ */
+forms.Rules.prototype.addNormalizer = function(name, fn) {
+  this.normalizers_[name] = fn;
+};
+
+/**
+ * Checks if a normalizer has been registered under a name.
+ * @this forms.Rules
+ * @param {string} name Normalizer name.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.hasNormalizer = function(name) {
+  return this.normalizers_.hasOwnProperty(name);
+};
+
+/**
+ * Checks that a normalize rule starts with the name of a normalizer. Every
+ * other arg is either a normalizer or an arg of the one before it, so only
+ * the first can be unknown, e.g. misspelt. Such a rule fails, so that the
+ * field is never treated as valid while its value is left unnormalized.
+ * @this forms.Rules
+ * @param {Object} rule Parsed normalize rule.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.checkNormalizers = function(rule) {
+  var args = rule['args'];
+  return !args.length || this.hasNormalizer(args[0]);
+};
+
+/**
+ * Normalize rules clean up a field value before the other rules of the
+ * field check it, e.g. normalize-trim-lowercase, or normalize(trim,
+ * lowercase) in the syntax of parseRules. Their args are the names of
+ * normalizers, each followed by its own args, if any, so that
+ * normalize(trim, phone, 44) trims the value, then formats it as a phone
+ * number with the default country code 44. They apply to all rules of the
+ * field, and only fail if they name an unknown normalizer, see
+ * checkNormalizers.
+ * @param {string} method Method name.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isNormalizer = function(method) {
+  return method === 'normalize';
+};
+
+/**
+ * Applies the normalize rules among a list of rules to a value, in order.
+ * Arrays of values are normalized one value at a time, and values that are
+ * not strings, such as files, are left as they are.
+ * @this forms.Rules
+ * @param {*} value Field value.
+ * @param {Array} rules Parsed rules, which may include other rules.
+ * @return {*} Normalized value. Unknown normalizers, which make their
+ *     rule fail, are skipped, along with their args.
+ */
+forms.Rules.prototype.normalize = function(value, rules) {
+  if (value instanceof Array) {
+    var values = [];
+    for (var i = 0, len = value.length; i < len; i++) {
+      values.push(this.normalize(value[i], rules));
+    }
+    return values;
+  }
+  for (var i = 0, len = rules.length; i < len; i++) {
+    if (!this.isNormalizer(rules[i]['method'])) {
+      continue;
+    }
+    var args = rules[i]['args'];
+    for (var j = 0; j < args.length; j++) {
+      var normalizer = this.hasNormalizer(args[j]) &&
+          this.normalizers_[args[j]];
+      var normalizerArgs = [];
+      while (j + 1 < args.length && !this.hasNormalizer(args[j + 1])) {
+        normalizerArgs.push(args[++j]);
+      }
+      if (normalizer && typeof value === 'string') {
+        value = normalizer.call(this, value, normalizerArgs);
+      }
+    }
+  }
+  return value;
+};
+
+/**
+ * Returns a copy of an object of field values, with the values normalized
+ * by the normalize rules of a rule set, e.g. to store the values a server
+ * has validated in the same form as the browser submits them.
+ * @this forms.Rules
+ * @param {Object} values Field values, keyed by field name.
+ * @param {Object} ruleSet Rules, keyed by field name. See validate.
+ * @return {Object} Normalized field values.
+ */
+forms.Rules.prototype.normalizeValues = function(values, ruleSet) {
+  return this.normalizeMessages_(values,
+      this.getMessages(ruleSet, this.keys_(values)));
+};
+
+/**
+ * Normalizes the values of the fields of some error messages, with the
+ * normalize rules of all messages of each field.
+ * @private
+ * @this forms.Rules
+ * @param {Object} values Field values, keyed by field name.
+ * @param {Array} messages Messages returned by getMessages.
+ * @return {Object} Copy of the values, normalized.
+ */
+forms.Rules.prototype.normalizeMessages_ = function(values, messages) {
+  var normalized = {};
+  var rules = {};
+
+  for (var key in values) {
+    if (values.hasOwnProperty(key)) {
+      normalized[key] = values[key];
+    }
+  }
+  for (var i = 0, len = messages.length; i < len; i++) {
+    var field = messages[i].field;
+    for (var j = 0; j < messages[i].rules.length; j++) {
+      if (this.isNormalizer(messages[i].rules[j]['method'])) {
+        rules[field] = (rules[field] || []).concat([messages[i].rules[j]]);
+      }
+    }
+  }
+  for (var field in rules) {
+    if (rules.hasOwnProperty(field) && normalized.hasOwnProperty(field)) {
+      normalized[field] = this.normalize(normalized[field], rules[field]);
+    }
+  }
+  return normalized;
+};
+
+/**
+ * Formats a phone number as a plus sign, if it has one, followed by its
+ * digits, e.g. +1 (555) 555-5555 as +15555555555. A leading 00 is an
+ * international prefix. Given a default country code, numbers without one
+ * get it, in place of a leading trunk prefix 0. Values with characters
+ * other than those used to write phone numbers are left as they are, so
+ * that rules can still reject them.
+ * @private
+ * @param {string} value Phone number.
+ * @param {string=} opt_countryCode Default country calling code, e.g. 44.
+ * @return {string} Formatted phone number.
+ */
+forms.Rules.prototype.normalizePhone_ = function(value, opt_countryCode) {
+  if (!/^\s*\+?[\d\s.()\/-]*$/.test(value)) {
+    return value;
+  }
+  var phone = value.replace(/[^\d+]/g, '').replace(/^00/, '+');
+  if (phone && opt_countryCode && phone.charAt(0) !== '+') {
+    phone = '+' + opt_countryCode + phone.replace(/^0/, '');
+  }
+  return phone;
+};
+
+/**
+ * Formats a postal code in upper case, with single spaces. Given a country
+ * in postcodeFormats, codes of that country are rewritten in its format,
+ * e.g. sw1a1aa as SW1A 1AA for gb.
+ * @private
+ * @this forms.Rules
+ * @param {string} value Postal code.
+ * @param {string=} opt_country Lower case country code.
+ * @return {string} Formatted postal code.
+ */
+forms.Rules.prototype.normalizePostcode_ = function(value, opt_country) {
+  var postcode = value.toUpperCase().replace(/\s+/g, ' ')
+      .replace(/^ | $/g, '');
+  var format = opt_country && this.postcodeFormats[opt_country];
+  var compact = postcode.replace(/[ -]/g, '');
+
+  if (format && format.exp.test(compact)) {
+    return compact.replace(format.exp, format.format).replace(/-$/, '');
+  }
+  return postcode;
+};
+
+/**
+ * Tests a value with a registered validator, or with the validation
+ * expression of the same name if there is no validator. Arrays of values are
+ * tested one value at a time, unless the method is in multiValue.
+ * @this forms.Rules
+ * @param {string} method Method name.
+ * @param {string|Array} value Value to test.
+ * @param {Array=} opt_args Rule args.
+ * @param {*=} opt_field Field being validated.
+ * @param {Object=} opt_form Form, or object of values, the field belongs to.
+ * @return {boolean|Promise} Boolean, or a Promise of one.
+ */
+forms.Rules.prototype.test = function(method, value, opt_args, opt_field,
+    opt_form) {
+  if (value instanceof Array && !this.multiValue.hasOwnProperty(method)) {
+    return this.testEach_(method, value, opt_args, opt_field, opt_form);
+  }
+  if (this.hasValidator(method)) {
+    return this.validators_[method].call(this, value, opt_args || [],
+        opt_field, opt_form);
+  }
+  return this.isValidRegExp_(value, method);
+};
+
+/**
+ * Tests each of an array of values, all of which must pass.
+ * @private
+ * @this forms.Rules
+ * @param {string} method Method name.
+ * @param {Array} values Values to test.
+ * @param {Array=} opt_args Rule args.
+ * @param {*=} opt_field Field being validated.
+ * @param {Object=} opt_form Form, or object of values, the field belongs to.
+ * @return {boolean|Promise} Boolean, or a Promise of one.
+ */
+forms.Rules.prototype.testEach_ = function(method, values, opt_args,
+    opt_field, opt_form) {
+  var results = [];
+  var async = false;
+
+  for (var i = 0, len = values.length; i < len; i++) {
+    var result = this.test(method, String(values[i]), opt_args, opt_field,
+        opt_form);
+    if (this.isThenable(result)) {
+      async = true;
+    } else if (!result) {
+      return false;
+    }
+    results.push(result);
+  }
+  if (!async) {
+    return true;
+  }
+  return Promise.all(results).then(function(results) {
+    for (var i = 0, len = results.length; i < len; i++) {
+      if (!results[i]) {
+        return false;
+      }
+    }
+    return true;
+  });
+};
+
+/**
+ * Validates an object of field values against a rule set, and returns a
+ * report in the same format as forms.Validation.prototype.validate. The rule
+ * set maps field names to arrays of rules, in the order they are checked.
+ * Each rule is either a string such as 'len-2-40', or an object with a
+ * method, args and optionally the id of its error message:
+ * {'username': ['required', {'method': 'len', 'args': ['2', '40'],
+ *                            'errorId': 'username-1-err'}]}
+ * The rules of a field may also be one string, either separated by spaces,
+ * 'required len-2-40', or in the syntax of parseRules, 'required len(2, 40)'.
+ * Rules sharing an error message id are reported as one message, which
+ * fails on the first of its rules that fails, as in the browser. Conditions
+ * without an error message id apply to all later rules of the field that
+ * have none either, so 'if-country-US required' works as expected.
+ * Values are first cleaned up by the normalize rules of their field, see
+ * isNormalizer, so that ' User@Example.com ' passes
+ * 'normalize(trim, lowercase) email'. Use normalizeValues to get the
+ * values that were checked.
+ * Repeating groups of fields, such as the rows of a table, are named with
+ * indexes, e.g. items[3][qty]. A rule set key with [*] in place of an index
+ * applies to the fields of every row, and [*] in its error message ids and
+ * args is replaced by the index of the row:
+ * {'items[*][qty]': ['required', 'min-1'],
+ *  'items[*][note]': 'if(items[*][qty]) len(0, 200)'}
+ * Asynchronous validators pass until they settle; use validateAsync to wait
+ * for them.
+ * @this forms.Rules
+ * @param {Object} values Field values, keyed by field name.
+ * @param {Object} ruleSet Rules, keyed by field name.
+ * @return {Object} Validation report.
+ */
+forms.Rules.prototype.validate = function(values, ruleSet) {
+  var messages = this.getMessages(ruleSet, this.keys_(values));
+  var results = [];
+  values = this.normalizeMessages_(values, messages);
+
+  for (var i = 0, len = messages.length; i < len; i++) {
+    var rule = this.checkMessage_(messages[i], values, false, 0);
+    results.push({field: messages[i].field, errorId: messages[i].errorId,
+                  rule: rule, detected: this.detect(messages[i].rules,
+                      values[messages[i].field])});
+  }
+  return this.buildReport(results);
+};
+
+/**
+ * Asynchronous version of validate, which waits for asynchronous validators
+ * to settle.
+ * @this forms.Rules
+ * @param {Object} values Field values, keyed by field name.
+ * @param {Object} ruleSet Rules, keyed by field name.
+ * @return {Promise} Resolves to the validation report.
+ */
+forms.Rules.prototype.validateAsync = function(values, ruleSet) {
+  var messages = this.getMessages(ruleSet, this.keys_(values));
+  var results = [];
+  values = this.normalizeMessages_(values, messages);
+
+  for (var i = 0, len = messages.length; i < len; i++) {
+    results.push(Promise.resolve(this.checkMessage_(messages[i], values, true,
+        0)).then(function(message, detected) {
+      return function(rule) {
+        return {field: message.field, errorId: message.errorId, rule: rule,
+                detected: detected};
+      };
+    }(messages[i], this.detect(messages[i].rules,
+                               values[messages[i].field]))));
+  }
+  var obj = this;
+  return Promise.all(results).then(function(results) {
+    return obj.buildReport(results);
+  });
+};
+
+/**
+ * Returns the keys of an object.
+ * @private
+ * @param {Object} object Object.
+ * @return {Array} Keys.
+ */
+forms.Rules.prototype.keys_ = function(object) {
+  var keys = [];
+  for (var key in object) {
+    if (object.hasOwnProperty(key)) {
+      keys.push(key);
+    }
+  }
+  return keys;
+};
+
+/**
+ * Groups the rules of a rule set into error messages. Given the names of the
+ * fields, rule set keys with [*] are expanded to one message per field
+ * whose name matches; see validate.
+ * @this forms.Rules
+ * @param {Object} ruleSet Rules, keyed by field name.
+ * @param {Array=} opt_names Names of the fields.
+ * @return {Array} Messages, each with a field name, an error id and rules.
+ */
+forms.Rules.prototype.getMessages = function(ruleSet, opt_names) {
+  var messages = [];
+
+  for (var field in ruleSet) {
+    if (!ruleSet.hasOwnProperty(field)) {
+      continue;
+    }
+    var rules = ruleSet[field];
+    var byId = {};
+    var conditions = [];
+    if (typeof rules === 'string') {
+      rules = (rules.indexOf('(') > -1) ? this.parseRules(rules) :
+          rules.split(' ');
+    }
+
+    for (var i = 0, len = rules.length; i < len; i++) {
+      if (!rules[i]) {
+        continue;
+      }
+      var rule = this.parseRule(rules[i]);
+      var errorId = (typeof rules[i] === 'string') ? '' :
+          rules[i]['errorId'] || '';
+      if (errorId && byId[errorId]) {
+        byId[errorId].rules.push(rule);
+        continue;
+      }
+      if (!errorId && this.isCondition(rule['method'])) {
+        conditions.push(rule);
+        continue;
+      }
+      var message = {field: field, errorId: errorId,
+                     rules: (errorId ? [] : conditions).concat([rule])};
+      if (errorId) {
+        byId[errorId] = message;
+      }
+      messages.push(message);
+    }
+  }
+  return opt_names ? this.expandMessages_(messages, opt_names) : messages;
+};
+
+/**
+ * Expands the messages of fields with [*] in their name to one message for
+ * each field whose name matches, in the order of the names. [*] in their
+ * error message ids and args is replaced by the indexes of the field.
+ * @private
+ * @this forms.Rules
+ * @param {Array} messages Messages returned by getMessages.
+ * @param {Array} names Names of the fields.
+ * @return {Array} Messages.
+ */
+forms.Rules.prototype.expandMessages_ = function(messages, names) {
+  var expanded = [];
+
+  for (var i = 0, len = messages.length; i < len; i++) {
+    var field = messages[i].field;
+    if (field.indexOf('[*]') < 0) {
+      expanded.push(messages[i]);
+      continue;
+    }
+    /**
+     * Expand the messages of the field together, so each row keeps them in
+     * order.
+     */
+    var group = [messages[i]];
+    while (i + 1 < len && messages[i + 1].field === field) {
+      group.push(messages[++i]);
+    }
+    var parts = field.split('[*]');
+    for (var j = 0; j < parts.length; j++) {
+      parts[j] = parts[j].replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+    }
+    var exp = new RegExp('^' + parts.join('\\[([^\\]]+)\\]') + '$');
+    var seen = {};
+
+    for (var j = 0; j < names.length; j++) {
+      var name = names[j].replace(/\[\]$/, '');
+      var match = exp.exec(name);
+      if (!match || seen[name]) {
+        continue;
+      }
+      seen[name] = true;
+      var indexes = match.slice(1);
+      for (var g = 0; g < group.length; g++) {
+        var rules = [];
+        for (var k = 0; k < group[g].rules.length; k++) {
+          var rule = group[g].rules[k];
+          var args = [];
+          for (var a = 0; a < rule['args'].length; a++) {
+            args.push(this.fillIndexes_(rule['args'][a], indexes));
+          }
+          rules.push({'method': rule['method'], 'args': args});
+        }
+        expanded.push({field: name,
+                       errorId: this.fillIndexes_(group[g].errorId, indexes),
+                       rules: rules});
+      }
+    }
+  }
+  return expanded;
+};
+
+/**
+ * Replaces each [*] in a string with the next index of a row, or the last
+ * one if there are more [*] than indexes.
+ * @private
+ * @param {string} text String, such as a field name.
+ * @param {Array} indexes Indexes of the row, outermost first.
+ * @return {string} String with indexes.
+ */
+forms.Rules.prototype.fillIndexes_ = function(text, indexes) {
+  var i = 0;
+  return String(text).replace(/\[\*\]/g, function() {
+    return '[' + indexes[Math.min(i++, indexes.length - 1)] + ']';
+  });
+};
+
+/**
+ * Checks the rules of an error message in order, and returns the first rule
+ * that failed.
+ * @private
+ * @this forms.Rules
+ * @param {Object} message Message returned by getMessages.
+ * @param {Object} values Field values, keyed by field name.
+ * @param {boolean} async True to wait for asynchronous validators.
+ * @param {number} start Index of the first rule to check.
+ * @return {Object|Promise} The failed rule, null if none failed, or a
+ *     Promise of either if async is true.
+ */
+forms.Rules.prototype.checkMessage_ = function(message, values, async,
+    start) {
+  var value = values[message.field];
+  value = (value === null || typeof value === 'undefined') ? '' :
+      (typeof value === 'object') ? value : String(value);
+
+  if (!start && !this.testConditions(message.rules, values)) {
+    return null;
+  }
+  for (var i = start, len = message.rules.length; i < len; i++) {
+    var rule = message.rules[i];
+    if (this.isNormalizer(rule['method']) && !this.checkNormalizers(rule)) {
+      return rule;
+    }
+    if (this.isCondition(rule['method']) ||
+        this.isNormalizer(rule['method'])) {
+      continue;
+    }
+    var result = this.test(rule['method'], value, rule['args'], message.field,
+        values);
+
+    if (this.isThenable(result)) {
+      if (!async) {
+        continue;
+      }
+      return result.then(function(obj, rule, next) {
+        return function(valid) {
+          return valid ? obj.checkMessage_(message, values, true, next) :
+              rule;
+        };
+      }(this, rule, i + 1), function(rule) {
+        return function() { return rule; };
+      }(rule));
+    }
+    if (!result) {
+      return rule;
+    }
+  }
+  return null;
+};
+
+/**
+ * Builds a validation report from a list of results, one per error message.
+ * Fields whose validators detected something, see detect, have it in their
+ * "detected" property, e.g. {'creditcard': 'visa'}.
+ * @param {Array} results Results, each with the field name, the error
+ *     message id, the rule that failed, or null if it passed, and
+ *     optionally what was detected.
+ * @return {Object} Validation report.
+ */
+forms.Rules.prototype.buildReport = function(results) {
+  var report = {'valid': true, 'firstInvalid': null, 'firstErrorId': null,
+                'fields': {}};
+
+  for (var i = 0, len = results.length; i < len; i++) {
+    var result = results[i];
+    var field = report['fields'][result.field];
+
+    if (!field) {
+      field = report['fields'][result.field] = {'valid': true,
+                                                'errorIds': [], 'failed': []};
+    }
+    if (result.errorId) {
+      field['errorIds'].push(result.errorId);
+    }
+    for (var method in result.detected || {}) {
+      field['detected'] = field['detected'] || {};
+      field['detected'][method] = result.detected[method];
+    }
+    if (result.rule) {
+      field['failed'].push({'method': result.rule['method'],
+                            'args': result.rule['args'],
+                            'errorId': result.errorId || null});
+      field['valid'] = false;
+      if (report['valid']) {
+        report['firstInvalid'] = result.field;
+        report['firstErrorId'] = result.errorId || null;
+      }
+      report['valid'] = false;
+    }
+  }
+  return report;
+};
+
+/**
+ * Checks whether a validator result is a Promise, or promise-like.
+ * @param {*} result Value returned by a validator.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isThenable = function(result) {
+  return !!result && typeof result.then === 'function';
+};
+
+/**
+ * Checks if two values are equal.
+ * @private
+ * @param {string} firstValue First value to compare.
+ * @param {string} secondValue Second value to compare.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isEqual_ = function(
+    firstValue, secondValue) {
+  return firstValue === secondValue;
+};
+
+/**
+ * Check email address for validity, following RFC 5321 and 5322. By default
+ * the local part must be a dot-atom and the domain a host name. The args of
+ * the rule relax or tighten this, e.g. email-quoted-idn:
+ * quoted: the local part may be a quoted string, e.g. "john doe"@example.com
+ * idn: the domain may be internationalized (checked as punycode), and the
+ *     local part may use UTF-8
+ * ip: the domain may be an IP literal, e.g. user@[192.0.2.1] or
+ *     user@[IPv6:2001:db8::1]
+ * nodisposable: the domain may not be one of disposableDomains
+ * tld: the top-level domain must be known, see setTopLevelDomains
+ * @private
+ * @this forms.Rules
+ * @param {string} value Email address to validate.
+ * @param {Array=} opt_args Options.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isValidEmail_ = function(
+    value, opt_args) {
+  var options = {};
+  for (var i = 0, len = (opt_args || []).length; i < len; i++) {
+    options[opt_args[i]] = true;
+  }
+
+  /**
+   * Split by last @, as quoted local parts may contain one.
+   */
+  var sep = value.lastIndexOf('@');
+  if (sep < 1 || value.length > 254) {
+    return false;
+  }
+  var local = value.substring(0, sep);
+  var domain = value.substring(sep + 1);
+
+  /**
+   * Check the domain, as an IP literal or a host name.
+   */
+  var literal = /^\[(?:IPv6:(.+)|(.+))\]$/i.exec(domain);
+  if (literal) {
+    if (!options['ip'] || !(literal[1] ? this.isValidIPv6_(literal[1]) :
+        this.isValidIPv4_(literal[2]))) {
+      return false;
+    }
+  } else {
+    if (options['idn']) {
+      domain = this.toAscii_(domain);
+    }
+    if (domain.length > 253 || !this.isValidRegExp_(domain, 'domain')) {
+      return false;
+    }
+    if (options['nodisposable'] && this.isDisposable_(domain)) {
+      return false;
+    }
+    if (options['tld'] && !this.isKnownTopLevelDomain_(domain)) {
+      return false;
+    }
+  }
+
+  /**
+   * Check the local part, which is at most 64 characters.
+   */
+  if (local.length > 64) {
+    return false;
+  }
+  if (options['quoted'] && local.charAt(0) === '"') {
+    return this.isValidRegExp_(local, 'email-quoted');
+  }
+  return this.isValidRegExp_(local,
+      options['idn'] ? 'email-local-idn' : 'email-local');
+};
+
+/**
+ * Check URL for validity, following RFC 3986. The URL is split into scheme,
+ * user info, host, port, path, query and fragment, and each is checked. The
+ * host may be a domain name, which may be internationalized, an IPv4
+ * address or an IPv6 address in brackets. The args of the rule are the
+ * allowed schemes, http and https by default, and these options, e.g.
+ * url-https-nolocalhost:
+ * nolocalhost: the host may not be localhost or a loopback address
+ * noip: the host may not be an IP address
+ * tld: the top-level domain must be known, see setTopLevelDomains
+ * @private
+ * @this forms.Rules
+ * @param {string} value URL to validate.
+ * @param {Array=} opt_args Allowed schemes and options.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isValidUrl_ = function(value, opt_args) {
+  var options = {};
+  var schemes = {};
+  var hasSchemes = false;
+
+  for (var i = 0, len = (opt_args || []).length; i < len; i++) {
+    var arg = opt_args[i].toLowerCase();
+    if (arg === 'nolocalhost' || arg === 'noip' || arg === 'tld') {
+      options[arg] = true;
+    } else {
+      schemes[arg] = hasSchemes = true;
+    }
+  }
+  if (!hasSchemes) {
+    schemes = {'http': true, 'https': true};
+  }
+
+  var parts = new RegExp('^([a-zA-Z][a-zA-Z0-9+.-]*):\\/\\/' +
+      '(?:([^@\\/?#]*)@)?(\\[[^\\]]*\\]|[^:\\/?#]*)(?::([^\\/?#]*))?' +
+      '([^?#]*)(?:\\?([^#]*))?(?:#(.*))?$').exec(value);
+  if (!parts || !schemes[parts[1].toLowerCase()]) {
+    return false;
+  }
+
+  /**
+   * Characters allowed in each part, besides percent-encoded octets. Non
+   * ASCII characters are allowed as in IRIs (RFC 3987).
+   */
+  var chars = 'a-zA-Z0-9._~!$&\'()*+,;=\\u00a0-\\uffff-';
+  var userInfo = new RegExp('^(?:[' + chars + ':]|%[0-9a-fA-F]{2})*$');
+  var path = new RegExp('^(?:\\/(?:[' + chars + ':@]|%[0-9a-fA-F]{2})*)*$');
+  var query = new RegExp('^(?:[' + chars + ':@\\/?]|%[0-9a-fA-F]{2})*$');
+  if ((parts[2] && !userInfo.test(parts[2])) || !path.test(parts[5]) ||
+      (parts[6] && !query.test(parts[6])) ||
+      (parts[7] && !query.test(parts[7]))) {
+    return false;
+  }
+
+  var port = parts[4];
+  if (port && (!/^\d{1,5}$/.test(port) || Number(port) > 65535)) {
+    return false;
+  }
+  return this.isValidHost_(parts[3], options);
+};
+
+/**
+ * Checks the host of a URL.
+ * @private
+ * @this forms.Rules
+ * @param {string} host Host, with brackets around IPv6 addresses.
+ * @param {Object} options Options of isValidUrl_.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isValidHost_ = function(host, options) {
+  host = host.toLowerCase();
+  var localhost = (host === 'localhost' || /\.localhost$/.test(host));
+
+  if (host.charAt(0) === '[') {
+    host = host.slice(1, -1);
+    if (!this.isValidIPv6_(host) || options['noip']) {
+      return false;
+    }
+    localhost = /^(?:0*:)*:?0*1$/.test(host);
+  } else if (/^[\d.]+$/.test(host)) {
+    if (!this.isValidIPv4_(host) || options['noip']) {
+      return false;
+    }
+    localhost = (host.split('.')[0] === '127');
+  } else if (!localhost) {
+    host = this.toAscii_(host);
+    if (host.length > 253 || !this.isValidRegExp_(host, 'domain') ||
+        (options['tld'] && !this.isKnownTopLevelDomain_(host))) {
+      return false;
+    }
+  }
+  return !(localhost && options['nolocalhost']);
+};
+
+/**
+ * Replaces the list of known top-level domains, used by the tld option of
+ * the email and url rules. The list can be the text of
+ * http://data.iana.org/TLD/tlds-alpha-by-domain.txt, with one domain per
+ * line and comments starting with #, or an array of domains.
+ * @this forms.Rules
+ * @param {string|Array} list Top-level domains.
+ * @return {number} Number of top-level domains in the list.
+ */
+forms.Rules.prototype.setTopLevelDomains = function(list) {
+  var domains = (typeof list === 'string') ? list.split(/\r?\n/) : list;
+  var count = 0;
+  this.topLevelDomains_ = {};
+
+  for (var i = 0, len = domains.length; i < len; i++) {
+    var domain = String(domains[i]).replace(/^\s+|\s+$/g, '').toLowerCase();
+    if (domain && domain.charAt(0) !== '#' && !this.topLevelDomains_[domain]) {
+      this.topLevelDomains_[domain] = true;
+      count++;
+    }
+  }
+  return count;
+};
+
+/**
+ * Checks if the top-level domain of a domain is known. Until
+ * setTopLevelDomains is called, the built-in list is used.
+ * @private
+ * @this forms.Rules
+ * @param {string} domain Domain, in ASCII.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isKnownTopLevelDomain_ = function(domain) {
+  if (!this.topLevelDomains_) {
+    this.setTopLevelDomains(forms.Rules.TOP_LEVEL_DOMAINS.split('|'));
+  }
+  var tld = domain.toLowerCase().split('.').pop();
+  return this.topLevelDomains_.hasOwnProperty(tld);
+};
+
+/**
+ * Checks if a domain belongs to a disposable email service.
+ * @private
+ * @this forms.Rules
+ * @param {string} domain Domain, in ASCII.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isDisposable_ = function(domain) {
+  domain = domain.toLowerCase();
+
+  for (var i = 0, len = this.disposableDomains.length; i < len; i++) {
+    var disposable = this.disposableDomains[i].toLowerCase();
+    if (domain === disposable ||
+        domain.slice(-disposable.length - 1) === '.' + disposable) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Checks if a string is an IPv4 address in dotted decimal, e.g. 192.0.2.1.
+ * @private
+ * @param {string} value Value being tested.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isValidIPv4_ = function(value) {
+  var parts = value.split('.');
+  if (parts.length !== 4) {
+    return false;
+  }
+  for (var i = 0; i < 4; i++) {
+    if (!/^(?:0|[1-9]\d{0,2})$/.test(parts[i]) || Number(parts[i]) > 255) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Checks if a string is an IPv6 address, e.g. 2001:db8::1 or ::ffff:192.0.2.1.
+ * @private
+ * @this forms.Rules
+ * @param {string} value Value being tested.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isValidIPv6_ = function(value) {
+  var halves = value.split('::');
+  if (halves.length > 2) {
+    return false;
+  }
+  var groups = 0;
+
+  for (var i = 0; i < halves.length; i++) {
+    if (!halves[i]) {
+      continue;
+    }
+    var parts = halves[i].split(':');
+    for (var j = 0; j < parts.length; j++) {
+      /**
+       * The last group may be an IPv4 address, which counts as two.
+       */
+      if (i === halves.length - 1 && j === parts.length - 1 &&
+          parts[j].indexOf('.') > -1) {
+        if (!this.isValidIPv4_(parts[j])) {
+          return false;
+        }
+        groups += 2;
+      } else if (/^[0-9a-fA-F]{1,4}$/.test(parts[j])) {
+        groups++;
+      } else {
+        return false;
+      }
+    }
+  }
+  return (halves.length === 2) ? groups < 8 : groups === 8;
+};
+
+/**
+ * Converts an internationalized domain to ASCII, encoding each label that
+ * is not ASCII with punycode (RFC 3492), e.g. bücher.example becomes
+ * xn--bcher-kva.example.
+ * @private
+ * @this forms.Rules
+ * @param {string} domain Domain name.
+ * @return {string} ASCII domain name.
+ */
+forms.Rules.prototype.toAscii_ = function(domain) {
+  var labels = domain.toLowerCase().split(/[.。．｡]/);
+
+  for (var i = 0, len = labels.length; i < len; i++) {
+    if (/[^\x00-\x7f]/.test(labels[i])) {
+      labels[i] = 'xn--' + this.punycode_(labels[i]);
+    }
+  }
+  return labels.join('.');
+};
+
+/**
+ * Encodes a string with punycode, without the xn-- prefix.
+ * @private
+ * @param {string} input String to encode.
+ * @return {string} Punycode.
+ */
+forms.Rules.prototype.punycode_ = function(input) {
+  var base = 36, tMin = 1, tMax = 26, skew = 38, damp = 700;
+  var codePoints = [];
+  var output = '';
+
+  for (var i = 0; i < input.length; i++) {
+    var code = input.charCodeAt(i);
+    if (code >= 0xD800 && code <= 0xDBFF && i + 1 < input.length) {
+      code = (code - 0xD800) * 0x400 + input.charCodeAt(++i) - 0xDC00 +
+          0x10000;
+    }
+    codePoints.push(code);
+    if (code < 0x80) {
+      output += String.fromCharCode(code);
+    }
+  }
+  var basic = output.length;
+  var handled = basic;
+  if (basic) {
+    output += '-';
+  }
+
+  var digit = function(d) {
+    return String.fromCharCode(d + 22 + 75 * (d < 26));
+  };
+  var adapt = function(delta, points, first) {
+    delta = first ? Math.floor(delta / damp) : delta >> 1;
+    delta += Math.floor(delta / points);
+    for (var k = 0; delta > ((base - tMin) * tMax) >> 1; k += base) {
+      delta = Math.floor(delta / (base - tMin));
+    }
+    return k + Math.floor((base - tMin + 1) * delta / (delta + skew));
+  };
+
+  var n = 0x80, delta = 0, bias = 72;
+  while (handled < codePoints.length) {
+    var m = Infinity;
+    for (var i = 0; i < codePoints.length; i++) {
+      if (codePoints[i] >= n && codePoints[i] < m) {
+        m = codePoints[i];
+      }
+    }
+    delta += (m - n) * (handled + 1);
+    n = m;
+    for (var i = 0; i < codePoints.length; i++) {
+      if (codePoints[i] < n) {
+        delta++;
+      }
+      if (codePoints[i] === n) {
+        var q = delta;
+        for (var k = base; ; k += base) {
+          var t = k <= bias ? tMin : k >= bias + tMax ? tMax : k - bias;
+          if (q < t) {
+            break;
+          }
+          output += digit(t + (q - t) % (base - t));
+          q = Math.floor((q - t) / (base - t));
+        }
+        output += digit(q);
+        bias = adapt(delta, handled + 1, handled === basic);
+        delta = 0;
+        handled++;
+      }
+    }
+    delta++;
+    n++;
+  }
+  return output;
+};
+
+/**
+ * Removes the spaces and hyphens that are often used to group the digits
+ * of card numbers, IBANs and the like.
+ * @private
+ * @param {string} value Value.
+ * @return {string} Value without separators.
+ */
+forms.Rules.prototype.stripSeparators_ = function(value) {
+  return value.replace(/[\s-]+/g, '');
+};
+
+/**
+ * Checks a string of digits with the Luhn algorithm.
+ * @private
+ * @param {string} digits Digits, with the check digit last.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isValidLuhn_ = function(digits) {
+  var sum = 0;
+
+  for (var i = digits.length - 1, doubled = false; i >= 0; i--) {
+    var digit = Number(digits.charAt(i));
+    if (doubled) {
+      digit = (digit > 4) ? digit * 2 - 9 : digit * 2;
+    }
+    sum += digit;
+    doubled = !doubled;
+  }
+  return /^\d+$/.test(digits) && sum % 10 === 0;
+};
+
+/**
+ * Detects the brand of a payment card number from its prefix.
+ * @private
+ * @this forms.Rules
+ * @param {string} digits Card number, without separators.
+ * @return {?string} Name of the brand in cardBrands, or null if unknown.
+ */
+forms.Rules.prototype.cardBrand_ = function(digits) {
+  for (var i = 0, len = this.cardBrands.length; i < len; i++) {
+    if (this.cardBrands[i].exp.test(digits)) {
+      return this.cardBrands[i].name;
+    }
+  }
+  return null;
+};
+
+/**
+ * Checks a payment card number. It must pass the Luhn check and have the
+ * length of its brand. The args of the rule are the accepted brands, e.g.
+ * creditcard-visa-mc; any brand is accepted if there are none.
+ * @private
+ * @this forms.Rules
+ * @param {string} value Card number, optionally grouped with spaces or
+ *     hyphens.
+ * @param {Array} brands Accepted brands.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isValidCard_ = function(value, brands) {
+  var digits = this.stripSeparators_(value);
+  var brand = this.cardBrand_(digits);
+
+  if (!/^\d{12,19}$/.test(digits) || !this.isValidLuhn_(digits)) {
+    return false;
+  }
+  if (brands.length && brands.indexOf(brand) < 0) {
+    return false;
+  }
+  for (var i = 0, len = this.cardBrands.length; i < len; i++) {
+    if (this.cardBrands[i].name === brand) {
+      return this.cardBrands[i].lengths.indexOf(digits.length) > -1;
+    }
+  }
+  return !brands.length;
+};
+
+/**
+ * Calculates the remainder of a string of digits and letters divided by 97,
+ * with letters counting as 10 to 35, as in ISO 7064 MOD 97-10.
+ * @private
+ * @param {string} value Digits and upper case letters.
+ * @return {number} Remainder.
+ */
+forms.Rules.prototype.mod97_ = function(value) {
+  var remainder = 0;
+
+  for (var i = 0, len = value.length; i < len; i++) {
+    var code = parseInt(value.charAt(i), 36);
+    remainder = (remainder * (code > 9 ? 100 : 10) + code) % 97;
+  }
+  return remainder;
+};
+
+/**
+ * Checks an IBAN, its length for its country and its check digits. The args
+ * of the rule are the accepted countries, e.g. iban-de-at; any country in
+ * ibanLengths is accepted if there are none.
+ * @private
+ * @this forms.Rules
+ * @param {string} value IBAN, optionally grouped with spaces.
+ * @param {Array} countries Accepted country codes.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isValidIban_ = function(value, countries) {
+  var iban = this.stripSeparators_(value).toUpperCase();
+  var country = iban.substring(0, 2);
+
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(iban) ||
+      this.ibanLengths[country] !== iban.length) {
+    return false;
+  }
+  if (countries.length &&
+      countries.join(' ').toUpperCase().split(' ').indexOf(country) < 0) {
+    return false;
+  }
+  return this.mod97_(iban.substring(4) + iban.substring(0, 4)) === 1;
+};
+
+/**
+ * Checks an ISBN-10 or ISBN-13. The args of the rule limit it to one of
+ * them, e.g. isbn-13.
+ * @private
+ * @this forms.Rules
+ * @param {string} value ISBN, optionally grouped with spaces or hyphens.
+ * @param {Array} versions Accepted versions, 10 and/or 13.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isValidIsbn_ = function(value, versions) {
+  var isbn = this.stripSeparators_(value).toUpperCase();
+
+  if (versions.length && versions.indexOf(String(isbn.length)) < 0) {
+    return false;
+  }
+  if (/^\d{9}[\dX]$/.test(isbn)) {
+    var sum = 0;
+    for (var i = 0; i < 10; i++) {
+      sum += (10 - i) * (isbn.charAt(i) === 'X' ? 10 : Number(isbn.charAt(i)));
+    }
+    return sum % 11 === 0;
+  }
+  return /^97[89]\d{10}$/.test(isbn) && this.isValidGtin_(isbn);
+};
+
+/**
+ * Checks the check digit of a GTIN: an EAN-8, UPC-A, EAN-13 or GTIN-14
+ * barcode number. Digits are weighted 3 and 1 alternately from the right.
+ * @private
+ * @param {string} digits Barcode number.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isValidGtin_ = function(digits) {
+  if (!/^(?:\d{8}|\d{12,14})$/.test(digits)) {
+    return false;
+  }
+  var sum = 0;
+  for (var i = digits.length - 2, weight = 3; i >= 0; i--) {
+    sum += Number(digits.charAt(i)) * weight;
+    weight = 4 - weight;
+  }
+  return (10 - sum % 10) % 10 === Number(digits.charAt(digits.length - 1));
+};
+
+/**
+ * Checks nine digits with the Dutch "elfproef", used by BSNs and older VAT
+ * numbers: the first eight digits weighted 9 to 2, minus the last one, must
+ * add up to a multiple of 11.
+ * @private
+ * @param {string} digits Nine digits.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isValidElfProef_ = function(digits) {
+  var sum = -Number(digits.charAt(8));
+
+  for (var i = 0; i < 8; i++) {
+    sum += (9 - i) * Number(digits.charAt(i));
+  }
+  return sum > 0 && sum % 11 === 0;
+};
+
+/**
+ * Checks the digits of an Austrian VAT number.
+ * @private
+ * @param {string} digits The eight digits after ATU.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.checkVatAt_ = function(digits) {
+  var sum = 0;
+
+  for (var i = 0; i < 7; i++) {
+    var product = Number(digits.charAt(i)) * (i % 2 ? 2 : 1);
+    sum += (product > 9) ? product - 9 : product;
+  }
+  return (10 - (sum + 4) % 10) % 10 === Number(digits.charAt(7));
+};
+
+/**
+ * Checks the digits of a German VAT number with ISO 7064 MOD 11,10.
+ * @private
+ * @param {string} digits The nine digits after DE.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.checkVatDe_ = function(digits) {
+  var product = 10;
+
+  for (var i = 0; i < 8; i++) {
+    var sum = (Number(digits.charAt(i)) + product) % 10;
+    product = (2 * (sum || 10)) % 11;
+  }
+  return (11 - product) % 10 === Number(digits.charAt(8));
+};
+
+/**
+ * Checks the digits of a UK VAT number. Government departments and health
+ * authorities (GD and HA) are only checked for their format.
+ * @private
+ * @param {string} digits The digits after GB.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.checkVatGb_ = function(digits) {
+  if (/^(?:GD|HA)/.test(digits)) {
+    return true;
+  }
+  var sum = Number(digits.substring(7, 9));
+
+  for (var i = 0; i < 7; i++) {
+    sum += (8 - i) * Number(digits.charAt(i));
+  }
+  return sum % 97 === 0 || (sum + 55) % 97 === 0;
+};
+
+/**
+ * Checks a VAT or national identity number against the formats of the
+ * countries given as args of the rule, e.g. vat-de-fr, or of all countries
+ * if there are none. The number is upper cased and its separators removed.
+ * @private
+ * @this forms.Rules
+ * @param {Object} formats Formats, keyed by country code.
+ * @param {string} value Number.
+ * @param {Array} countries Accepted country codes.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isValidNationalNumber_ = function(
+    formats, value, countries) {
+  var number = this.stripSeparators_(value).toUpperCase();
+  if (!countries.length) {
+    countries = [];
+    for (var country in formats) {
+      if (formats.hasOwnProperty(country)) {
+        countries.push(country);
+      }
+    }
+  }
+
+  for (var i = 0, len = countries.length; i < len; i++) {
+    var format = formats[countries[i].toLowerCase()];
+    var match = format ? format.exp.exec(number) : null;
+    if (match && (!format.check || format.check.apply(this,
+        match.slice(1)))) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Detects the country of a VAT or national identity number, as the first
+ * country whose format it passes.
+ * @private
+ * @this forms.Rules
+ * @param {Object} formats Formats, keyed by country code.
+ * @param {string} value Number.
+ * @return {?string} Upper case country code, or null if none matched.
+ */
+forms.Rules.prototype.detectCountry_ = function(formats, value) {
+  for (var country in formats) {
+    if (formats.hasOwnProperty(country) &&
+        this.isValidNationalNumber_(formats, value, [country])) {
+      return country.toUpperCase();
+    }
+  }
+  return null;
+};
+
+/**
+ * Reads the args of a password rule into a policy, starting from
+ * passwordPolicy. The args are:
+ * len-N: at least N characters
+ * lower, upper, digit, symbol: at least one character of the class
+ * classes-N: characters of at least N of the four classes
+ * entropy-N: an estimated entropy of at least N bits
+ * repeat-N: no more than N identical characters in a row
+ * sequence-N: no more than N sequential characters in a row, like abc or 321
+ * blocklist: not one of commonPasswords
+ * not-FIELD: not containing the value of the field named FIELD, such as the
+ *     username or email
+ * e.g. password-len-10-upper-digit-repeat-2-blocklist-not-username-not-email.
+ * @private
+ * @this forms.Rules
+ * @param {Array} args Rule args.
+ * @return {Object} Policy, with the field names in "fields", and the args
+ *     that are none of the above, e.g. misspelt ones, in "unknown".
+ */
+forms.Rules.prototype.parsePasswordArgs_ = function(args) {
+  var policy = {};
+  var numbers = {'len': 'minLength', 'classes': 'minClasses',
+                 'entropy': 'minEntropy', 'repeat': 'maxRepeat',
+                 'sequence': 'maxSequence'};
+
+  for (var key in this.passwordPolicy) {
+    if (this.passwordPolicy.hasOwnProperty(key)) {
+      policy[key] = this.passwordPolicy[key];
+    }
+  }
+  policy['require'] = (policy['require'] || []).slice();
+  policy['fields'] = [];
+  policy['unknown'] = [];
+
+  for (var i = 0, len = args.length; i < len; i++) {
+    var arg = args[i];
+    if (numbers.hasOwnProperty(arg)) {
+      policy[numbers[arg]] = Number(args[++i]) || 0;
+    } else if (arg === 'lower' || arg === 'upper' || arg === 'digit' ||
+        arg === 'symbol') {
+      policy['require'].push(arg);
+    } else if (arg === 'blocklist') {
+      policy['blocklist'] = true;
+    } else if (arg === 'not' && i + 1 < len) {
+      policy['fields'].push(args[++i]);
+    } else {
+      policy['unknown'].push(arg);
+    }
+  }
+  return policy;
+};
+
+/**
+ * Finds the classes of the characters of a password.
+ * @private
+ * @param {string} value Password.
+ * @return {Object} The classes found, keyed by lower, upper, digit, symbol
+ *     and other, for characters outside ASCII.
+ */
+forms.Rules.prototype.passwordClasses_ = function(value) {
+  return {
+    'lower': /[a-z]/.test(value),
+    'upper': /[A-Z]/.test(value),
+    'digit': /[0-9]/.test(value),
+    'symbol': /[\x20-\x2f\x3a-\x40\x5b-\x60\x7b-\x7e]/.test(value),
+    'other': /[^\x00-\x7e]/.test(value)
+  };
+};
+
+/**
+ * Finds the longest runs of identical and of sequential characters in a
+ * password. A run of abcd or 4321 is 4 sequential characters.
+ * @private
+ * @param {string} value Password.
+ * @return {Object} Lengths of the longest "repeat" and "sequence", and the
+ *     number of characters in runs of 3 or more after their first, as
+ *     "redundant".
+ */
+forms.Rules.prototype.passwordRuns_ = function(value) {
+  var runs = {'repeat': value ? 1 : 0, 'sequence': value ? 1 : 0,
+              'redundant': 0};
+  var repeat = 1, sequence = 1, step = 0;
+
+  for (var i = 1, len = value.length; i < len; i++) {
+    var diff = value.charCodeAt(i) - value.charCodeAt(i - 1);
+    repeat = diff ? 1 : repeat + 1;
+    if ((diff === 1 || diff === -1) && (sequence === 1 || diff === step)) {
+      sequence++;
+    } else {
+      sequence = (diff === 1 || diff === -1) ? 2 : 1;
+    }
+    step = diff;
+    runs['repeat'] = Math.max(runs['repeat'], repeat);
+    runs['sequence'] = Math.max(runs['sequence'], sequence);
+    if (repeat > 2 || sequence > 2) {
+      runs['redundant']++;
+    }
+  }
+  return runs;
+};
+
+/**
+ * Estimates the entropy of a password in bits, from the size of the
+ * character classes it uses and its length, not counting characters that
+ * repeat or continue a sequence.
+ * @private
+ * @this forms.Rules
+ * @param {string} value Password.
+ * @return {number} Entropy in bits.
+ */
+forms.Rules.prototype.passwordEntropy_ = function(value) {
+  var sizes = {'lower': 26, 'upper': 26, 'digit': 10, 'symbol': 33,
+               'other': 100};
+  var classes = this.passwordClasses_(value);
+  var pool = 0;
+
+  for (var name in sizes) {
+    if (classes[name]) {
+      pool += sizes[name];
+    }
+  }
+  var length = value.length - this.passwordRuns_(value)['redundant'];
+  return pool ? Math.round(length * Math.log(pool) / Math.LN2) : 0;
+};
+
+/**
+ * Checks if a password is a common password.
+ * @private
+ * @this forms.Rules
+ * @param {string} value Password.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isCommonPassword_ = function(value) {
+  var lower = value.toLowerCase();
+  var stem = lower.replace(/[^a-z]+$/, '');
+
+  for (var i = 0, len = this.commonPasswords.length; i < len; i++) {
+    var common = this.commonPasswords[i].toLowerCase();
+    if (lower === common || stem === common) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Checks if a password contains personal data, such as the username or the
+ * email address, or its local part, entered in other fields.
+ * @private
+ * @param {string} value Password.
+ * @param {Array} context Values of other fields.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isPersonalPassword_ = function(value, context) {
+  var lower = value.toLowerCase();
+
+  for (var i = 0, len = context.length; i < len; i++) {
+    if (typeof context[i] !== 'string') {
+      continue;
+    }
+    var words = [context[i].toLowerCase()];
+    if (context[i].indexOf('@') > 0) {
+      words.push(words[0].substring(0, words[0].lastIndexOf('@')));
+    }
+    for (var j = 0; j < words.length; j++) {
+      if (words[j].length >= 3 && lower.indexOf(words[j]) > -1) {
+        return true;
+      }
+    }
+  }
+  return false;
+};
+
+/**
+ * Checks a password against a policy.
+ * @private
+ * @this forms.Rules
+ * @param {string} value Password.
+ * @param {Object} policy Policy returned by parsePasswordArgs_.
+ * @param {Array} context Values of the fields the password must not contain.
+ * @return {Array} The policy requirements it fails: length, lower, upper,
+ *     digit, symbol, classes, entropy, repeat, sequence, common and
+ *     personal, or args if the policy has unknown args, which no password
+ *     passes. Empty if it passes.
+ */
+forms.Rules.prototype.checkPassword_ = function(value, policy, context) {
+  var problems = [];
+  var classes = this.passwordClasses_(value);
+  var runs = this.passwordRuns_(value);
+  var count = 0;
+
+  if (policy['unknown'].length) {
+    problems.push('args');
+  }
+  if (value.length < policy['minLength']) {
+    problems.push('length');
+  }
+  for (var i = 0, len = policy['require'].length; i < len; i++) {
+    if (!classes[policy['require'][i]]) {
+      problems.push(policy['require'][i]);
+    }
+  }
+  for (var name in classes) {
+    count += classes[name] ? 1 : 0;
+  }
+  if (count < policy['minClasses']) {
+    problems.push('classes');
+  }
+  if (policy['minEntropy'] &&
+      this.passwordEntropy_(value) < policy['minEntropy']) {
+    problems.push('entropy');
+  }
+  if (policy['maxRepeat'] && runs['repeat'] > policy['maxRepeat']) {
+    problems.push('repeat');
+  }
+  if (policy['maxSequence'] && runs['sequence'] > policy['maxSequence']) {
+    problems.push('sequence');
+  }
+  if (policy['blocklist'] && this.isCommonPassword_(value)) {
+    problems.push('common');
+  }
+  if (this.isPersonalPassword_(value, context)) {
+    problems.push('personal');
+  }
+  return problems;
+};
+
+/**
+ * Rates the strength of a password, e.g. for a strength meter. The score
+ * goes from 0, very weak, to 4, very strong, by estimated entropy: below 28,
+ * 36, 60 and 80 bits. Common passwords and passwords containing personal
+ * data score 0.
+ * @this forms.Rules
+ * @param {string} value Password.
+ * @param {Array=} opt_args Args of the password rule, to check the password
+ *     against. Defaults to passwordPolicy.
+ * @param {Object=} opt_form Form or object of values, from which the fields
+ *     named in the args are read with getValue.
+ * @return {Object} The "score", the "entropy" in bits, and the policy
+ *     requirements the password fails as "problems", see checkPassword_.
+ */
+forms.Rules.prototype.passwordStrength = function(value, opt_args,
+    opt_form) {
+  var policy = this.parsePasswordArgs_(opt_args || []);
+  var context = [];
+  for (var i = 0, len = policy['fields'].length; i < len; i++) {
+    context.push(this.getValue(opt_form || {}, policy['fields'][i]));
+  }
+  var problems = this.checkPassword_(value, policy, context);
+  var entropy = this.passwordEntropy_(value);
+  var score = 0;
+  var levels = [28, 36, 60, 80];
+
+  while (score < levels.length && entropy >= levels[score]) {
+    score++;
+  }
+  if (this.isCommonPassword_(value) ||
+      problems.indexOf('personal') > -1) {
+    score = 0;
+  }
+  return {'score': score, 'entropy': entropy, 'problems': problems};
+};
+
+/**
+ * Check if the length of a string is between the two boundaries.
+ * min must be less than or equal to max.
+ * @private
+ * @param {string} value Value being tested.
+ * @param {number} min Minmum string length.
+ * @param {?number} max Maximum string length, or null for no maximum.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype
+    .isValidLength_ = function(value, min, max) {
+  if (max === null) {
+    return value.length >= min;
+  }
+
+  return min <= max && value.length >= min && value.length <= max;
+};
+
+/**
+ * Converts a value or rule arg to a number. Only plain decimal numbers, with
+ * an optional sign and exponent, are converted.
+ * @private
+ * @param {*} value Value to convert.
+ * @return {number} The number, or NaN if the value is not a number.
+ */
+forms.Rules.prototype.parseNumber_ = function(value) {
+  value = String(value).replace(/^\s+|\s+$/g, '');
+  if (!/^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/.test(value)) {
+    return NaN;
+  }
+  return parseFloat(value);
+};
+
+/**
+ * Check if a value is a number between the two boundaries, inclusive.
+ * @private
+ * @this forms.Rules
+ * @param {string} value Value being tested.
+ * @param {?string} min Minimum value, or null for no minimum.
+ * @param {?string} max Maximum value, or null for no maximum.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isValidNumber_ = function(value, min, max) {
+  var number = this.parseNumber_(value);
+
+  if (isNaN(number)) {
+    return false;
+  }
+  return (min === null || number >= this.parseNumber_(min)) &&
+      (max === null || number <= this.parseNumber_(max));
+};
+
+/**
+ * Check if a value is a number that is a whole number of steps away from the
+ * base, as with the step attribute of number inputs.
+ * @private
+ * @this forms.Rules
+ * @param {string} value Value being tested.
+ * @param {string} step Step size.
+ * @param {string|number} base Value that steps are counted from.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isValidStep_ = function(value, step, base) {
+  var number = this.parseNumber_(value);
+  var steps = (number - this.parseNumber_(base)) / this.parseNumber_(step);
+
+  /**
+   * Allow for rounding errors, e.g. 0.3 / 0.1 is 2.9999999999999996.
+   */
+  return !isNaN(steps) && isFinite(steps) &&
+      Math.abs(steps - Math.round(steps)) < 1e-9;
+};
+
+/**
+ * Parses a date, rejecting dates that do not exist, such as Feb 30. Values
+ * in an unknown format, such as date-ymd, are never valid dates.
+ * @private
+ * @this forms.Rules
+ * @param {string} value Date string.
+ * @param {string=} opt_format Name of the date format. Defaults to 'iso'.
+ * @return {Date} The date, or null if the value is not a valid date.
+ */
+forms.Rules.prototype.parseDate_ = function(value, opt_format) {
+  opt_format = opt_format || 'iso';
+  if (!this.dateFormats.hasOwnProperty(opt_format)) {
+    return null;
+  }
+  var format = this.dateFormats[opt_format];
+  var match = format.exp.exec(value);
+
+  if (!match) {
+    return null;
+  }
+  var parts = {};
+  for (var i = 0; i < 3; i++) {
+    parts[format.order.charAt(i)] = parseInt(match[i + 1], 10);
+  }
+  var time = [parseInt(match[4] || 0, 10), parseInt(match[5] || 0, 10),
+              parseInt(match[6] || 0, 10)];
+  var date = new Date(2000, 0, 1, time[0], time[1], time[2]);
+  date.setFullYear(parts['y'], parts['m'] - 1, parts['d']);
+
+  /**
+   * Date rolls impossible dates over, e.g. Feb 30 becomes Mar 1 or 2.
+   */
+  if (date.getFullYear() !== parts['y'] ||
+      date.getMonth() !== parts['m'] - 1 || date.getDate() !== parts['d'] ||
+      date.getHours() !== time[0] || date.getMinutes() !== time[1] ||
+      date.getSeconds() !== time[2]) {
+    return null;
+  }
+  return date;
+};
+
+/**
+ * Splits date rule args into the other args and the date format, which may
+ * be given as the last arg, e.g. ['start', 'mdy'].
+ * @private
+ * @this forms.Rules
+ * @param {Array} args Rule args.
+ * @return {Object} The remaining args, and the format or null.
+ */
+forms.Rules.prototype.splitDateArgs_ = function(args) {
+  var last = args[args.length - 1];
+
+  if (args.length && this.dateFormats.hasOwnProperty(last)) {
+    return {args: args.slice(0, args.length - 1), format: last};
+  }
+  return {args: args, format: null};
+};
+
+/**
+ * Checks that a date is at least a number of years ago, and optionally at
+ * most a number of years ago, e.g. age-18 or age-18-120-mdy.
+ * @private
+ * @this forms.Rules
+ * @param {string} value Date string.
+ * @param {Array} args Minimum and maximum age, then optionally the format.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isValidAge_ = function(value, args) {
+  var dateArgs = this.splitDateArgs_(args);
+  var date = this.parseDate_(value, dateArgs.format);
+
+  if (!date) {
+    return false;
+  }
+  var now = new Date();
+  var age = now.getFullYear() - date.getFullYear();
+  if (now.getMonth() < date.getMonth() || (now.getMonth() ===
+      date.getMonth() && now.getDate() < date.getDate())) {
+    age--;
+  }
+  return date <= now && age >= this.parseNumber_(dateArgs.args[0] || 0) &&
+      (dateArgs.args.length < 2 ||
+       age <= this.parseNumber_(dateArgs.args[1]));
+};
+
+/**
+ * Checks that a date is after, or before, today or the date in another
+ * field, e.g. after-today, before-end or after-start-mdy. If the other field
+ * does not hold a valid date, there is nothing to compare against and the
+ * check passes.
+ * @private
+ * @this forms.Rules
+ * @param {string} value Date string.
+ * @param {Array} args 'today' or the name of the other field, then
+ *     optionally the format.
+ * @param {Object} form Form, or object of values, the field belongs to.
+ * @param {boolean} after True if the date must be after the other date,
+ *     false if it must be before it.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isValidDateOrder_ = function(value, args, form,
+    after) {
+  var dateArgs = this.splitDateArgs_(args);
+  var date = this.parseDate_(value, dateArgs.format);
+  var other;
+
+  if (!date) {
+    return false;
+  }
+  if (dateArgs.args[0] === 'today') {
+    other = new Date();
+    /**
+     * Dates without a time are compared to the start of today.
+     */
+    if (!date.getHours() && !date.getMinutes() && !date.getSeconds()) {
+      other = new Date(other.getFullYear(), other.getMonth(),
+                       other.getDate());
+    }
+  } else {
+    other = this.parseDate_(String(this.getValue(form, dateArgs.args[0]) ||
+        ''), dateArgs.format);
+    if (!other) {
+      return true;
+    }
+  }
+  return after ? date > other : date < other;
+};
+
+/**
+ * Check the value against the expression.
+ * @private
+ * @this forms.Rules
+ * @param {string} value Value to test against expression.
+ * @param {string} expression Expression index key to test on value.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isValidRegExp_ = function(
+    value, expression) {
+  return this.validationExp[expression].test(value);
+};
+
+/**
+ * Checks file uploads. The first arg chooses the check, e.g.
+ * file-image        The extension is one of fileTypes['image'].
+ * file-maxsize-2M   Each file is at most 2 MB. K, M and G are supported.
+ * file-minsize-1K   Each file is at least 1 KB.
+ * file-maxtotal-5M  All files together are at most 5 MB.
+ * file-mime-image/png-image/gif  Each file has one of the MIME types. A
+ *                   type without a subtype, e.g. image, allows all of them.
+ * file-count-1-5    Between 1 and 5 files are chosen.
+ * file-width-100-2000, file-height-100  Each file is an image whose size in
+ *                   pixels is in the range. The maximum is optional.
+ * file-sniff        The content of each file matches its extension, where
+ *                   fileSignatures has a signature for it.
+ * file-sniff-image  The content of each file matches one of the extensions
+ *                   of fileTypes['image'] that have a signature.
+ * Checks other than the extension use the File API. In browsers without it,
+ * they pass, so they must also be enforced by the server. The width, height
+ * and sniff checks are asynchronous.
+ * @private
+ * @this forms.Rules
+ * @param {string|Array|Object} value Filename, or File objects.
+ * @param {Array} args Rule args.
+ * @param {*} field File input, which provides the File objects.
+ * @return {boolean|Promise} Boolean, or a Promise of one.
+ */
+forms.Rules.prototype.isValidFile_ = function(value, args, field) {
+  var files = (field && field.files) ? field.files :
+      (value && typeof value === 'object') ? value : null;
+  var range = [this.parseSize_(args[1]),
+               args.length > 2 ? this.parseSize_(args[2]) : Infinity];
+
+  if (files && typeof files.length === 'undefined') {
+    files = [files];
+  }
+  if (!files) {
+    /**
+     * Without the File API, only the extension of the filename can be
+     * checked.
+     */
+    if (args[0] in this.fileTypes) {
+      // Check the last character to see if it is a double-quote
+      if (value.charAt(value.length - 1) === '"') {
+        value = value.substring(0, value.length - 2);
+      }
+      return this.isValidFileExtension_(value, args[0]);
+    }
+    return true;
+  }
+
+  var total = 0;
+  var checks = [];
+  for (var i = 0, len = files.length; i < len; i++) {
+    var file = files[i];
+    total += file.size;
+    switch (args[0]) {
+      case 'maxsize':
+        checks.push(file.size <= range[0]);
+        break;
+      case 'minsize':
+        checks.push(file.size >= range[0]);
+        break;
+      case 'mime':
+        checks.push(this.isValidMimeType_(file.type, args.slice(1)));
+        break;
+      case 'width':
+      case 'height':
+        checks.push(this.getImageSize_(file).then(function(size, range) {
+          return function(dimensions) {
+            return !!dimensions && dimensions[size] >= range[0] &&
+                dimensions[size] <= range[1];
+          };
+        }(args[0], range)));
+        break;
+      case 'sniff':
+        checks.push(this.isValidSignature_(file, args[1]));
+        break;
+      case 'count':
+      case 'maxtotal':
+        break;
+      default:
+        checks.push(this.isValidFileExtension_(file.name, args[0]));
+        break;
+    }
+  }
+  if (args[0] === 'count') {
+    checks.push(files.length >= range[0] && files.length <= range[1]);
+  } else if (args[0] === 'maxtotal') {
+    checks.push(total <= range[0]);
+  } else if (args[0] in this.fileTypes && !files.length) {
+    /**
+     * As with a filename, no file does not have a valid extension.
+     */
+    checks.push(false);
+  }
+
+  var async = false;
+  for (var i = 0; i < checks.length; i++) {
+    if (checks[i] === false) {
+      return false;
+    }
+    async = async || this.isThenable(checks[i]);
+  }
+  return !async || Promise.all(checks).then(function(results) {
+    return results.indexOf(false) < 0;
+  });
+};
+
+/**
+ * Converts a file size such as 500, 200K, 1.5M or 2GB to bytes.
+ * @private
+ * @this forms.Rules
+ * @param {string|number} size File size.
+ * @return {number} Bytes, or NaN if the size is not valid.
+ */
+forms.Rules.prototype.parseSize_ = function(size) {
+  var match = /^([0-9.]+)([kmg]?)b?$/i.exec(String(size));
+  var units = {'': 1, 'k': 1024, 'm': 1048576, 'g': 1073741824};
+
+  return match ? this.parseNumber_(match[1]) *
+      units[match[2].toLowerCase()] : NaN;
+};
+
+/**
+ * Checks a MIME type against a list of allowed types.
+ * @private
+ * @param {string} type MIME type of a file.
+ * @param {Array} allowed Allowed types, e.g. image/png, or image for all
+ *     image types.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.isValidMimeType_ = function(type, allowed) {
+  type = type.toLowerCase();
+
+  for (var i = 0, len = allowed.length; i < len; i++) {
+    var allowedType = allowed[i].toLowerCase();
+    if (type === allowedType || (allowedType.indexOf('/') < 0 &&
+        type.substring(0, allowedType.length + 1) === allowedType + '/')) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Gets the size of an image file in pixels.
+ * @private
+ * @param {Object} file File object.
+ * @return {Promise} Resolves to an object with width and height, or null if
+ *     the file is not an image that can be loaded.
+ */
+forms.Rules.prototype.getImageSize_ = function(file) {
+  if (typeof createImageBitmap === 'function') {
+    return createImageBitmap(file).then(function(bitmap) {
+      var size = {width: bitmap.width, height: bitmap.height};
+      if (bitmap.close) {
+        bitmap.close();
+      }
+      return size;
+    }, function() {
+      return null;
+    });
+  }
+  if (typeof Image === 'undefined' || typeof URL === 'undefined') {
+    return Promise.resolve(null);
+  }
+  return new Promise(function(resolve) {
+    var image = new Image();
+    var url = URL.createObjectURL(file);
+    image.onload = function() {
+      URL.revokeObjectURL(url);
+      resolve({width: image.naturalWidth, height: image.naturalHeight});
+    };
+    image.onerror = function() {
+      URL.revokeObjectURL(url);
+      resolve(null);
+    };
+    image.src = url;
+  });
+};
+
+/**
+ * Checks that the leading bytes of a file match one of the signatures of
+ * its extension, or of a filetype.
+ * @private
+ * @this forms.Rules
+ * @param {Object} file File object.
+ * @param {string=} opt_filetype Filetype index key. Defaults to the
+ *     extension of the file.
+ * @return {boolean|Promise} Boolean, or a Promise of one.
+ */
+forms.Rules.prototype.isValidSignature_ = function(file, opt_filetype) {
+  var extensions = opt_filetype ? this.fileTypes[opt_filetype] :
+      [this.getFileExtension_(file.name).toLowerCase()];
+  var signatures = [];
+
+  for (var i = 0, len = extensions.length; i < len; i++) {
+    signatures = signatures.concat(this.fileSignatures[extensions[i]] || []);
+  }
+  if (!signatures.length) {
+    return !opt_filetype;
+  }
+  return this.readBytes_(file, 8).then(function(bytes) {
+    for (var i = 0, len = signatures.length; i < len; i++) {
+      for (var j = 0; j < signatures[i].length; j++) {
+        if (bytes[j] !== signatures[i][j]) {
+          break;
+        }
+      }
+      if (j === signatures[i].length) {
+        return true;
+      }
+    }
+    return false;
+  }, function() {
+    return false;
+  });
+};
+
+/**
+ * Reads the leading bytes of a file.
+ * @private
+ * @param {Object} file File object.
+ * @param {number} count Number of bytes to read.
+ * @return {Promise} Resolves to a Uint8Array of the bytes.
+ */
+forms.Rules.prototype.readBytes_ = function(file, count) {
+  var blob = file.slice(0, count);
+
+  if (blob.arrayBuffer) {
+    return blob.arrayBuffer().then(function(buffer) {
+      return new Uint8Array(buffer);
+    });
+  }
+  return new Promise(function(resolve, reject) {
+    var reader = new FileReader();
+    reader.onload = function() {
+      resolve(new Uint8Array(reader.result));
+    };
+    reader.onerror = reject;
+    reader.readAsArrayBuffer(blob);
+  });
+};
+
+/**
+ * Check for file extension validity.
+ * @private
+ * @this forms.Rules
+ * @param {string} value Filename to check extension of.
+ * @param {string} filetype Filetype index key to compare against filename.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype
+    .isValidFileExtension_ = function(value, filetype) {
+  value = this.getFileExtension_(value).toLowerCase();
+  filetype = this.fileTypes[filetype];
+
+  for (var i = 0, len = filetype.length; i < len; i++) {
+    if (filetype[i] === value) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Get the file extension from a file name.
+ * @private
+ * @param {string} value Filename.
+ * @return {string} File extension.
+ */
+forms.Rules.prototype.getFileExtension_ = function(
+    value) {
+  return value.substring(value.lastIndexOf('.') + 1);
+};
+
+/**
+ * Determines if a field value is blank.
+ * @private
+ * @param {string} value The value of a form field.
+ * @return {boolean} Boolean.
+ */
+forms.Rules.prototype.hasValue_ = function(value) {
+  return !!value.length;
+};
+
+/**
+ * Built-in list of top-level domains, used until setTopLevelDomains is
+ * called. Many have been added since, so load the current list when using
+ * the tld option.
+ * Retrieved from: http://data.iana.org/TLD/tlds-alpha-by-domain.txt
+ * Version 2012022800, Last Updated Tue Feb 28 15:07:01 2012 UTC.
+ * @type {string}
+ * @const
+ */
+forms.Rules.TOP_LEVEL_DOMAINS = '' +
+      'ac|ad|ae|aero|af|ag|ai|al|am|an|ao|aq|ar|arpa|as|asia|at|au|aw|ax|az|' +
+      'ba|bb|bd|be|bf|bg|bh|bi|biz|bj|bm|bn|bo|br|bs|bt|bv|bw|by|bz|ca|cat|' +
+      'cc|cd|cf|cg|ch|ci|ck|cl|cm|cn|co|com|coop|cr|cu|cv|cw|cx|cy|cz|de|dj|' +
+      'dk|dm|do|dz|ec|edu|ee|eg|er|es|et|eu|fi|fj|fk|fm|fo|fr|ga|gb|gd|ge|gf|' +
+      'gg|gh|gi|gl|gm|gn|gov|gp|gq|gr|gs|gt|gu|gw|gy|hk|hm|hn|hr|ht|hu|id|ie|' +
+      'il|im|in|info|int|io|iq|ir|is|it|je|jm|jo|jobs|jp|ke|kg|kh|ki|km|kn|' +
+      'kp|kr|kw|ky|kz|la|lb|lc|li|lk|lr|ls|lt|lu|lv|ly|ma|mc|md|me|mg|mh|mil|' +
+      'mk|ml|mm|mn|mo|mobi|mp|mq|mr|ms|mt|mu|museum|mv|mw|mx|my|mz|na|name|' +
+      'nc|ne|net|nf|ng|ni|nl|no|np|nr|nu|nz|om|org|pa|pe|pf|pg|ph|pk|pl|pm|' +
+      'pn|pr|pro|ps|pt|pw|py|qa|re|ro|rs|ru|rw|sa|sb|sc|sd|se|sg|sh|si|sj|sk|' +
+      'sl|sm|sn|so|sr|st|su|sv|sx|sy|sz|tc|td|tel|tf|tg|th|tj|tk|tl|tm|tn|to|' +
+      'tp|tr|travel|tt|tv|tw|tz|ua|ug|uk|us|uy|uz|va|vc|ve|vg|vi|vn|vu|wf|ws|' +
+      'xxx|ye|yt|za|zm|zw';
+
+goog.exportSymbol('forms.Rules', forms.Rules);
+goog.exportProperty(forms.Rules.prototype, 'fileTypes',
+                    forms.Rules.prototype.fileTypes);
+goog.exportProperty(forms.Rules.prototype, 'validationExp',
+                    forms.Rules.prototype.validationExp);
+goog.exportProperty(forms.Rules.prototype, 'multiValue',
+                    forms.Rules.prototype.multiValue);
+goog.exportProperty(forms.Rules.prototype, 'fileSignatures',
+                    forms.Rules.prototype.fileSignatures);
+goog.exportProperty(forms.Rules.prototype, 'dateFormats',
+                    forms.Rules.prototype.dateFormats);
+goog.exportProperty(forms.Rules.prototype, 'disposableDomains',
+                    forms.Rules.prototype.disposableDomains);
+goog.exportProperty(forms.Rules.prototype, 'cardBrands',
+                    forms.Rules.prototype.cardBrands);
+goog.exportProperty(forms.Rules.prototype, 'ibanLengths',
+                    forms.Rules.prototype.ibanLengths);
+goog.exportProperty(forms.Rules.prototype, 'vatNumbers',
+                    forms.Rules.prototype.vatNumbers);
+goog.exportProperty(forms.Rules.prototype, 'nationalIds',
+                    forms.Rules.prototype.nationalIds);
+goog.exportProperty(forms.Rules.prototype, 'detect',
+                    forms.Rules.prototype.detect);
+goog.exportProperty(forms.Rules.prototype, 'passwordPolicy',
+                    forms.Rules.prototype.passwordPolicy);
+goog.exportProperty(forms.Rules.prototype, 'commonPasswords',
+                    forms.Rules.prototype.commonPasswords);
+goog.exportProperty(forms.Rules.prototype, 'passwordStrength',
+                    forms.Rules.prototype.passwordStrength);
+goog.exportProperty(forms.Rules.prototype, 'addValidator',
+                    forms.Rules.prototype.addValidator);
+goog.exportProperty(forms.Rules.prototype, 'hasValidator',
+                    forms.Rules.prototype.hasValidator);
+goog.exportProperty(forms.Rules.prototype, 'getValue',
+                    forms.Rules.prototype.getValue);
+goog.exportProperty(forms.Rules.prototype, 'parseRule',
+                    forms.Rules.prototype.parseRule);
+goog.exportProperty(forms.Rules.prototype, 'parseRules',
+                    forms.Rules.prototype.parseRules);
+goog.exportProperty(forms.Rules.prototype, 'test',
+                    forms.Rules.prototype.test);
+goog.exportProperty(forms.Rules.prototype, 'isCondition',
+                    forms.Rules.prototype.isCondition);
+goog.exportProperty(forms.Rules.prototype, 'testConditions',
+                    forms.Rules.prototype.testConditions);
+goog.exportProperty(forms.Rules.prototype, 'addNormalizer',
+                    forms.Rules.prototype.addNormalizer);
+goog.exportProperty(forms.Rules.prototype, 'hasNormalizer',
+                    forms.Rules.prototype.hasNormalizer);
+goog.exportProperty(forms.Rules.prototype, 'checkNormalizers',
+                    forms.Rules.prototype.checkNormalizers);
+goog.exportProperty(forms.Rules.prototype, 'isNormalizer',
+                    forms.Rules.prototype.isNormalizer);
+goog.exportProperty(forms.Rules.prototype, 'normalize',
+                    forms.Rules.prototype.normalize);
+goog.exportProperty(forms.Rules.prototype, 'normalizeValues',
+                    forms.Rules.prototype.normalizeValues);
+goog.exportProperty(forms.Rules.prototype, 'postcodeFormats',
+                    forms.Rules.prototype.postcodeFormats);
+goog.exportProperty(forms.Rules.prototype, 'validate',
+                    forms.Rules.prototype.validate);
+goog.exportProperty(forms.Rules.prototype, 'validateAsync',
+                    forms.Rules.prototype.validateAsync);
+goog.exportProperty(forms.Rules.prototype, 'getMessages',
+                    forms.Rules.prototype.getMessages);
+goog.exportProperty(forms.Rules.prototype, 'buildReport',
+                    forms.Rules.prototype.buildReport);
+goog.exportProperty(forms.Rules.prototype, 'isThenable',
+                    forms.Rules.prototype.isThenable);
+goog.exportProperty(forms.Rules.prototype, 'setTopLevelDomains',
+                    forms.Rules.prototype.setTopLevelDomains);
+goog.exportProperty(forms.Rules, 'TOP_LEVEL_DOMAINS',
+                    forms.Rules.TOP_LEVEL_DOMAINS);
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = forms.Rules;
+}
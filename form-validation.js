@@ -16,89 +16,176 @@
 
 /**
  * @fileoverview Automated client-side form validation.
+ * Requires form-rules.js, which must be loaded first.
  * Please see http://code.google.com/p/valid-forms/ for usage.
  * @author erichiggins@google.com (Eric Higgins)
  */
 
 
-/**
- * {Object} forms Container object for form related scripts.
- */
-goog.provide('forms');
 goog.provide('forms.Validation');
 
+goog.require('forms.Rules');
+
 /**
- * {Object} forms.Validation Automated form validation
+ * {Object} forms.Validation Automated form validation. The form is validated
+ * when it is submitted, and fires events that can change the outcome; see
+ * dispatch_.
  * @param {HTMLFormElement} form HTML form element to be validated.
+ * @param {Object|string=} opt_ruleSet Rule set to use instead of the class
+ *     names of error messages. See importRules.
  * @constructor
  * @export
  */
-forms.Validation = function(form) {
+forms.Validation = function(form, opt_ruleSet) {
   /**
    * Set the form element. Useful if you want to use other methods before
    * isValid.
    */
   this.form_ = form || this.form_;
-  if (this.form_) {
-    this.form_.onsubmit = function(obj) {
-      return function() { return obj.isValid(); };
-    }(this);
+  this.asyncResults_ = {};
+  this.pending_ = [];
+  this.listeners_ = [];
+  this.created_ = [];
+  this.messages_ = null;
+  this.observer_ = null;
+  if (this.form_ && window.MutationObserver) {
+    this.observe_();
   }
-  this.validationExp = {};
-  // Alphabet characters only.
-  this.validationExp['alpha'] = new RegExp('^[a-zA-Z\\u00c0-\\u00ff]+$');
-  // AlphaNumeric characters only.
-  this.validationExp['alphanum'] = new RegExp(
-      '^[a-zA-Z0-9\\u00c0-\\u00ff]+$');
-  // Domain expression (e.g.  example.com, www.example.com).
-  this.validationExp['domain'] = new RegExp(
-      '^(?:[a-zA-Z0-9_-]*.)*(?:[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?)+' +
-      '\.(?:' + this.topLevelDomains_ + ')$');
-  // Email local piece expression (everything before the @).
-  this.validationExp['email-local'] = new RegExp('^.{1,255}$');
-  // Numeric characters only.
-  this.validationExp['num'] = new RegExp('^\\d+$');
-  // Phone (e.g. 1-555-555-5555, 555.555.5555, +1-555-555-5555, 5555555555).
-  this.validationExp['phone'] = new RegExp('^[0-9.()+ -]{10,25}$');
-  /**
-   * URL expression (e.g. https://www.example.com, http://example.com).
-   * TODO(erichiggins): Use domain regexp, but allow all parameters/hashes.
-   * http://en.wikipedia.org/wiki/URI_scheme#Generic_syntax
-   */
-  this.validationExp['url'] = new RegExp('^https?:\/\/.+$');
-
-  this.fileTypes = {};
   /**
-   * Audio files.
-   * @type {Array}
+   * Validate on submit without replacing other submit handlers.
    */
-  this.fileTypes['audio'] = ['mp3', 'mp4', 'flac', 'ogg', 'wma', 'wav'];
-  /**
-   * Image files.
-   * @type {Array}
-   */
-  this.fileTypes['image'] = ['bmp', 'gif', 'jpg', 'jpeg', 'png', 'tif',
-      'raw'];
-  /**
-   * PDF files.
-   * @type {Array}
-   */
-  this.fileTypes['pdf'] = ['pdf'];
+  if (this.form_) {
+    this.listen_(this.form_, 'click', function(obj) {
+      return function(e) {
+        e = e || window.event;
+        var target = e.target || e.srcElement;
+        obj.submitter_ = (target && /^(?:submit|image)$/i.test(target.type)) ?
+            target : null;
+      };
+    }(this));
+    this.listen_(this.form_, 'submit', function(obj) {
+      return function(e) {
+        e = e || window.event;
+        var submitter = ('submitter' in e) ? e.submitter : obj.submitter_;
+        obj.submitter_ = null;
+        if (!obj.submitHandler_(submitter || undefined)) {
+          if (e.preventDefault) {
+            e.preventDefault();
+          }
+          e.returnValue = false;
+        }
+      };
+    }(this));
+  }
+  this.liveListeners_ = [];
+  this.liveTimer_ = null;
+  this.stateListeners_ = [];
+  this.touched_ = {};
+  this.pristine_ = [];
+  this.unloadListener_ = null;
   /**
-   * Text files.
-   * @type {Array}
+   * Remember which fields the user has left, see isTouched.
    */
-  this.fileTypes['text'] = ['txt'];
+  if (this.form_) {
+    this.listen_(this.form_, 'blur', function(obj) {
+      return function(e) { obj.stateHandler_(e || window.event); };
+    }(this), true);
+  }
+  this.rules_ = new forms.Rules();
+  this.rules_.getValue = function(obj) {
+    return function(form, name) {
+      return obj.fieldValue_(name);
+    };
+  }(this);
+  this.validationExp = this.rules_.validationExp;
+  this.fileTypes = this.rules_.fileTypes;
+  this.disposableDomains = this.rules_.disposableDomains;
+  this.ruleSet_ = null;
+  this.summaryErrors_ = {};
+  this.generated_ = {};
+
+  this.messageArgs = {
+    'age': ['min', 'max'],
+    'after': ['date'],
+    'before': ['date'],
+    'count': ['min', 'max'],
+    'file': ['type'],
+    'len': ['min', 'max'],
+    'match': ['other'],
+    'max': ['max'],
+    'min': ['min'],
+    'range': ['min', 'max'],
+    'step': ['step', 'base']
+  };
+  this.messageArgs['eq'] = this.messageArgs['equal'] =
+      this.messageArgs['match'];
+
+  this.catalogs = {};
   /**
-   * HTML files.
-   * @type {Array}
+   * English messages, also used for messages missing from other catalogs.
+   * @type {Object}
    */
-  this.fileTypes['html'] = ['html', 'htm'];
+  this.catalogs['en'] = {
+    'default': 'Please enter a valid value.',
+    'after': 'Please enter a date after {date}.',
+    'age': 'You must be at least {min} years old.',
+    'alpha': 'Please use letters only.',
+    'alphanum': 'Please use letters and numbers only.',
+    'before': 'Please enter a date before {date}.',
+    'count': 'Please choose between {min} and {max}.',
+    'count.1': 'Please choose at least {min}.',
+    'creditcard': 'Please enter a valid card number.',
+    'date': 'Please enter a valid date.',
+    'domain': 'Please enter a valid domain name.',
+    'ean': 'Please enter a valid barcode number.',
+    'email': 'Please enter a valid email address.',
+    'eq': 'Please enter the same value as {other}.',
+    'equal': 'Please enter the same value as {other}.',
+    'error': 'This field is required.',
+    'file': 'Please choose a file of type {type}.',
+    'file-count': 'Please choose between {1} and {2} files.',
+    'file-count.2': 'Please choose at least {1} files.',
+    'file-height': 'Please choose an image between {1} and {2} pixels high.',
+    'file-height.2': 'Please choose an image at least {1} pixels high.',
+    'file-maxsize': 'Each file must be at most {1}.',
+    'file-maxtotal': 'The files must be at most {1} in total.',
+    'file-mime': 'Please choose a file of an allowed type.',
+    'file-minsize': 'Each file must be at least {1}.',
+    'file-sniff': 'The file contents do not match its type.',
+    'file-width': 'Please choose an image between {1} and {2} pixels wide.',
+    'file-width.2': 'Please choose an image at least {1} pixels wide.',
+    'future': 'Please enter a date in the future.',
+    'iban': 'Please enter a valid IBAN.',
+    'integer': 'Please enter a whole number.',
+    'isbn': 'Please enter a valid ISBN.',
+    'len': 'Please enter between {min} and {max} characters.',
+    'len.1': 'Please enter at least {min} characters.',
+    'match': 'Please enter the same value as {other}.',
+    'max': 'Please enter a number no greater than {max}.',
+    'min': 'Please enter a number no less than {min}.',
+    'nationalid': 'Please enter a valid identity number.',
+    'num': 'Please use digits only.',
+    'password': 'Please choose a stronger password.',
+    'past': 'Please enter a date that is not in the future.',
+    'pattern': 'Please match the requested format.',
+    'phone': 'Please enter a valid phone number.',
+    'range': 'Please enter a number between {min} and {max}.',
+    'required': 'This field is required.',
+    'step': 'Please enter a multiple of {step}.',
+    'upc': 'Please enter a valid UPC.',
+    'url': 'Please enter a valid URL.',
+    'vat': 'Please enter a valid VAT number.'
+  };
+  if (opt_ruleSet) {
+    this.importRules(opt_ruleSet);
+  }
   /**
-   * Video files.
-   * @type {Array}
+   * Values that scripts set before the validator was created are not changes
+   * made by the user, see isDirty.
    */
-  this.fileTypes['video'] = ['mov', 'mpeg', 'mpg', 'avi', 'ogm', 'wmv'];
+  if (this.form_) {
+    this.setPristine();
+  }
 };
 
 
@@ -130,6 +217,137 @@ forms.Validation.prototype.errorDisplay = 'block';
  * @private
  */
 forms.Validation.prototype.form_ = null;
+/**
+ * Reads the HTML5 constraint attributes required, pattern, minlength,
+ * maxlength, min, max and step, and the email, url and tel input types, as
+ * rules. As in HTML5, these only apply to empty fields if they are required.
+ * Their error message is the element with the field name and suffix as its
+ * id, e.g. email-err, if there is one.
+ * @type {boolean}
+ */
+forms.Validation.prototype.constraints = false;
+/**
+ * Reports the results of validation to the browser through
+ * setCustomValidity, so the :invalid pseudo-class and the browser's own
+ * messages match. A field's custom validity is cleared as soon as it is
+ * edited, so the browser does not block submission before it is validated
+ * again.
+ * @type {boolean}
+ */
+forms.Validation.prototype.customValidity = false;
+/**
+ * Sets aria-invalid and aria-describedby on validated fields, and announces
+ * the number of errors through an ARIA live region when the form is
+ * validated.
+ * @type {boolean}
+ */
+forms.Validation.prototype.aria = true;
+/**
+ * Summary announced when several fields are invalid. {count} is replaced by
+ * the number of invalid fields.
+ * @type {string}
+ */
+forms.Validation.prototype.ariaSummary = '{count} errors in form.';
+/**
+ * Summary announced when one field is invalid.
+ * @type {string}
+ */
+forms.Validation.prototype.ariaSummaryOne = '1 error in form.';
+/**
+ * ARIA live region used to announce the summary. One is created inside the
+ * form if this is not set.
+ * @type {Element}
+ */
+forms.Validation.prototype.liveRegion = null;
+/**
+ * Message used when an error has no message text of its own.
+ * @type {string}
+ */
+forms.Validation.prototype.defaultMessage = 'Invalid value.';
+/**
+ * Class of fields whose value has not changed. See enableStateClasses.
+ * @type {string}
+ */
+forms.Validation.prototype.pristineClass = 'pristine';
+/**
+ * Class of fields whose value has changed.
+ * @type {string}
+ */
+forms.Validation.prototype.dirtyClass = 'dirty';
+/**
+ * Class of fields the user has not left yet.
+ * @type {string}
+ */
+forms.Validation.prototype.untouchedClass = 'untouched';
+/**
+ * Class of fields the user has left at least once.
+ * @type {string}
+ */
+forms.Validation.prototype.touchedClass = 'touched';
+/**
+ * Message of the unsaved changes warning. Most browsers show their own
+ * message instead.
+ * @type {string}
+ */
+forms.Validation.prototype.unloadMessage =
+    'You have unsaved changes. Leave this page?';
+/**
+ * Labels of password strength scores, set as the data-strength attribute of
+ * strength meters.
+ * @type {Array}
+ */
+forms.Validation.prototype.strengthLabels = ['very-weak', 'weak', 'fair',
+                                             'strong', 'very-strong'];
+/**
+ * Generates error messages from the message catalogs. Fields whose rules
+ * have no error message element get one, placed after the field, and empty
+ * error message elements are filled in. Messages written in the markup are
+ * left as they are.
+ * @type {boolean}
+ */
+forms.Validation.prototype.generateMessages = false;
+/**
+ * Locale of generated messages. Use setLocale to change it once messages
+ * are shown.
+ * @type {string}
+ */
+forms.Validation.prototype.locale = 'en';
+/**
+ * Message catalogs, keyed by locale. Each maps rule methods to message
+ * templates. See formatMessage.
+ * @type {Object}
+ */
+forms.Validation.prototype.catalogs = {};
+/**
+ * Names of the args of each method, which can be used in message templates
+ * instead of their positions.
+ * @type {Object}
+ */
+forms.Validation.prototype.messageArgs = {};
+/**
+ * Shows a summary of all error messages, each linking to its field, at the
+ * top of the form or in summaryContainer. Useful for long forms.
+ * @type {boolean}
+ */
+forms.Validation.prototype.summary = false;
+/**
+ * Element the error summary is rendered into. One is added to the top of the
+ * form if this is not set.
+ * @type {Element}
+ */
+forms.Validation.prototype.summaryContainer = null;
+/**
+ * Class name of the error summary created by the library. This must not
+ * contain errorClass or prefix, or the summary is taken for an error message.
+ * @type {string}
+ */
+forms.Validation.prototype.summaryClass = 'summary';
+/**
+ * Heading of the error summary.
+ * @type {string}
+ */
+forms.Validation.prototype.summaryHeading =
+    'Please correct the following errors:';
 /**
  * Enables accessibility option of taking the user to the first error message
  * on the page when validation fails. Useful for very long forms.
@@ -142,85 +360,2400 @@ forms.Validation.prototype.jump = false;
  */
 forms.Validation.prototype.multiClass = 'm';
 /**
- * Prefix namespace used for validation class names.
- * @type {string}
+ * Prefix namespace used for validation class names.
+ * @type {string}
+ */
+forms.Validation.prototype.prefix = 'v-';
+/**
+ * Attribute listing the validation groups of a field, or of all fields in
+ * an element, separated by spaces. See isValid.
+ * @type {string}
+ */
+forms.Validation.prototype.groupAttribute = 'data-group';
+/**
+ * Attribute of a submit button naming the validation group it validates.
+ * Buttons without it validate the whole form.
+ * @type {string}
+ */
+forms.Validation.prototype.submitGroupAttribute = 'data-validate';
+/**
+ * Attribute holding rules written as method calls, e.g.
+ * data-rules="required len(2, 40) match(billing-email)", on a field or an
+ * error message element. These can be used instead of, or along with, class
+ * names. See forms.Rules.prototype.parseRules for the syntax.
+ * @type {string}
+ */
+forms.Validation.prototype.rulesAttribute = 'data-rules';
+/**
+ * Set to true to write the values cleaned up by normalize rules back into
+ * text fields, when a field loses focus or changes during live validation
+ * and when the form is submitted. Values are always validated normalized.
+ * See forms.Rules.prototype.isNormalizer.
+ * @type {boolean}
+ */
+forms.Validation.prototype.writeNormalized = false;
+/**
+ * Suffix used for error message IDs.
+ * @type {string}
+ */
+forms.Validation.prototype.suffix = '-err';
+/**
+ * Function used by remote validators to make HTTP requests. Defaults to
+ * window.fetch when null. Replace it to stub out a server, or to add headers.
+ * @type {?function(string, Object=): Promise}
+ */
+forms.Validation.prototype.fetch = null;
+/**
+ * Results of asynchronous validators, keyed by field and class name. Each
+ * entry records the value that was checked, its promise, and the result once
+ * it has settled.
+ * @type {Object}
+ * @private
+ */
+forms.Validation.prototype.asyncResults_ = {};
+/**
+ * Promises of asynchronous validators that had not settled during the last
+ * validation pass.
+ * @type {Array}
+ * @private
+ */
+forms.Validation.prototype.pending_ = [];
+/**
+ * Rule set applied with importRules, used instead of class names.
+ * @type {Object}
+ * @private
+ */
+forms.Validation.prototype.ruleSet_ = null;
+/**
+ * Method and args of the rule that failed in the last call to
+ * validateHandler_.
+ * @type {Object}
+ * @private
+ */
+forms.Validation.prototype.failedRule_ = null;
+/**
+ * Event listeners attached by this instance, stored as
+ * [element, type, handler, capture] so they can be detached later.
+ * @type {Array}
+ * @private
+ */
+forms.Validation.prototype.listeners_ = [];
+/**
+ * Event listeners attached by enableLive.
+ * @type {Array}
+ * @private
+ */
+forms.Validation.prototype.liveListeners_ = [];
+/**
+ * Event listeners that keep state classes up to date.
+ * @type {Array}
+ * @private
+ */
+forms.Validation.prototype.stateListeners_ = [];
+/**
+ * True while state classes are enabled.
+ * @type {boolean}
+ * @private
+ */
+forms.Validation.prototype.stateClasses_ = false;
+/**
+ * Names of the fields the user has left.
+ * @type {Object}
+ * @private
+ */
+forms.Validation.prototype.touched_ = {};
+/**
+ * Fields and their state when setPristine was last called, each as
+ * [element, state]. Other fields are compared with their default values.
+ * @type {Array}
+ * @private
+ */
+forms.Validation.prototype.pristine_ = [];
+/**
+ * Event listener of the unsaved changes warning.
+ * @type {Array}
+ * @private
+ */
+forms.Validation.prototype.unloadListener_ = null;
+/**
+ * Error messages found by the last scan of the form.
+ * @type {Array}
+ * @private
+ */
+forms.Validation.prototype.messages_ = null;
+/**
+ * Settings the error messages were scanned with.
+ * @type {string}
+ * @private
+ */
+forms.Validation.prototype.settings_ = '';
+/**
+ * Observer of changes to the form, such as added or removed fields.
+ * @type {MutationObserver}
+ * @private
+ */
+forms.Validation.prototype.observer_ = null;
+/**
+ * True once destroy has been called.
+ * @type {boolean}
+ * @private
+ */
+forms.Validation.prototype.destroyed_ = false;
+/**
+ * Normalize rules of each field, and the messages they were collected from.
+ * See normalizeRules_.
+ * @type {Object}
+ * @private
+ */
+forms.Validation.prototype.normalizers_ = null;
+/**
+ * Submit button that was last clicked, for browsers without
+ * SubmitEvent.submitter.
+ * @type {Element}
+ * @private
+ */
+forms.Validation.prototype.submitter_ = null;
+/**
+ * Elements added to the page, removed by destroy.
+ * @type {Array}
+ * @private
+ */
+forms.Validation.prototype.created_ = [];
+/**
+ * Event listener that clears custom validity when a field is edited.
+ * @type {Array}
+ * @private
+ */
+forms.Validation.prototype.validityListener_ = null;
+/**
+ * Generated error messages of rules without an error message id, keyed by
+ * field name.
+ * @type {Object}
+ * @private
+ */
+forms.Validation.prototype.generated_ = {};
+/**
+ * Message text listed in the error summary, keyed by field name.
+ * @type {Object}
+ * @private
+ */
+forms.Validation.prototype.summaryErrors_ = {};
+/**
+ * Timer used to update the live region.
+ * @type {?number}
+ * @private
+ */
+forms.Validation.prototype.announceTimer_ = null;
+/**
+ * Timer used to debounce live validation while the user is typing.
+ * @type {?number}
+ * @private
+ */
+forms.Validation.prototype.liveTimer_ = null;
+/**
+ * Filetypes and related extensions used in file upload validation.
+ * @type {Object}
+ */
+forms.Validation.prototype.fileTypes = {};
+/**
+ * Rules and validators, shared with code that runs without a DOM.
+ * @type {forms.Rules}
+ * @private
+ */
+forms.Validation.prototype.rules_ = null;
+/**
+ * Form validation expressions for complex strings.
+ * @type {Object}
+ */
+forms.Validation.prototype.validationExp = {};
+/**
+ * Domains of disposable email services, rejected by email-nodisposable.
+ * @type {Array}
+ */
+forms.Validation.prototype.disposableDomains = [];
+
+/**
+ * Function to check if a given form passes all defined validation methods.
+ * A scope limits validation to part of the form, e.g. the fieldset of the
+ * current step of a wizard: isValid(null, fieldset). Only the errors in the
+ * scope are hidden, shown and focused. See inScope_.
+ * @this forms.Validation
+ * @param {HTMLFormElement} form HTML form element to be validated.
+ * @param {Element|string=} opt_scope Element containing the fields to
+ *     validate, or the name of a validation group.
+ * @return {boolean} Boolean.
+ */
+forms.Validation.prototype.isValid = function(form, opt_scope) {
+  this.assertActive_();
+  this.form_ = form || this.form_;
+  if (!this.dispatch_(this.form_, 'beforevalidate',
+                      {'field': null, 'scope': opt_scope || null})) {
+    return false;
+  }
+  this.hideAllErrors(opt_scope);
+
+  var results = this.checkErrors_(undefined, opt_scope);
+  this.dispatchFieldEvents_(results);
+  var report = this.rules_.buildReport(results);
+  /**
+   * Fields outside the scope keep their errors in the summary, since their
+   * error messages are still shown.
+   */
+  for (var fieldName in this.summaryErrors_) {
+    if (this.summaryErrors_.hasOwnProperty(fieldName) &&
+        (!opt_scope || this.inScope_(fieldName, opt_scope))) {
+      delete this.summaryErrors_[fieldName];
+    }
+  }
+  this.showErrors_(results);
+
+  if (this.aria) {
+    var errors = 0;
+    for (var fieldName in report['fields']) {
+      errors += report['fields'][fieldName]['valid'] ? 0 : 1;
+    }
+    this.announce_(!errors ? '' : (errors === 1) ? this.ariaSummaryOne :
+        this.ariaSummary.replace('{count}', String(errors)));
+  }
+  if (!report['valid']) {
+    /**
+     * If set, go to the defined.anchor, otherwise to the first error.
+     */
+    if (this.jump) {
+      window.location = this.anchor.length ? this.anchor : '#' +
+          report['firstErrorId'];
+    }
+    /**
+     * Change focus to the relevant field.
+     */
+    this.focus_(this.formGet_(report['firstInvalid']));
+  }
+  return this.dispatch_(this.form_, 'aftervalidate', {'report': report}) &&
+      report['valid'];
+};
+
+/**
+ * Checks the form without showing or hiding any error messages, and returns
+ * a report of what failed. For example:
+ * {
+ *   'valid': false,
+ *   'firstInvalid': 'serial',
+ *   'firstErrorId': 'serial-2-err',
+ *   'fields': {
+ *     'serial': {
+ *       'valid': false,
+ *       'errorIds': ['serial-0-err', 'serial-1-err', 'serial-2-err'],
+ *       'failed': [{'method': 'len', 'args': ['4', '8'],
+ *                   'errorId': 'serial-2-err'}]
+ *     }
+ *   }
+ * }
+ * Rules on checkboxes, radio groups, dropdowns and textareas that only test
+ * for a value are reported with the method 'required'. Fields whose
+ * validators detected something, such as the brand of a card number, have
+ * it in "detected", e.g. 'detected': {'creditcard': 'visa'}.
+ * @this forms.Validation
+ * @param {HTMLFormElement} form HTML form element to be validated.
+ * @param {Element|string=} opt_scope Element or validation group to limit
+ *     validation to. See isValid.
+ * @return {Object} Validation report.
+ */
+forms.Validation.prototype.validate = function(form, opt_scope) {
+  this.assertActive_();
+  this.form_ = form || this.form_;
+  return this.rules_.buildReport(this.checkErrors_(undefined, opt_scope));
+};
+
+/**
+ * Hides all error messages, or those of the fields in a scope.
+ * @this forms.Validation
+ * @param {Element|string=} opt_scope Element or validation group whose
+ *     errors to hide. See isValid.
+ */
+forms.Validation.prototype.hideAllErrors = function(opt_scope) {
+  this.assertActive_();
+  var messages = this.getMessages_();
+
+  for (var i = 0, len = messages.length; i < len; i++) {
+    if (opt_scope && !this.inScope_(messages[i].field, opt_scope)) {
+      continue;
+    }
+    if (messages[i].element) {
+      this.display_(messages[i].element, false);
+    }
+  }
+};
+
+/**
+ * Loops through all error message tags, and checks the matching form field.
+ * @private
+ * @this forms.Validation
+ * @param {string=} opt_fieldName Only check the error messages of this field.
+ * @param {Element|string=} opt_scope Only check the error messages of the
+ *     fields in this element or validation group.
+ * @return {Array} One result per error message, with the field name, the
+ *     error id and element, the rule that failed, or null if it passed, and
+ *     what its validators detected, if anything.
+ */
+forms.Validation.prototype.checkErrors_ = function(opt_fieldName, opt_scope) {
+  var results = [];
+  var messages = this.getMessages_();
+  this.pending_ = [];
+
+  for (var i = 0, len = messages.length; i < len; i++) {
+    var message = messages[i];
+
+    if (!message.field || (opt_fieldName && message.field != opt_fieldName)) {
+      continue;
+    }
+    if (opt_scope && !this.inScope_(message.field, opt_scope)) {
+      continue;
+    }
+    this.failedRule_ = null;
+    var failed = !this.check_(message.field, message.rules);
+    results.push({
+      field: message.field,
+      errorId: message.errorId,
+      element: message.element,
+      rule: failed ? this.failedRule_ || {'method': 'required', 'args': []} :
+          null,
+      detected: this.rules_.detect(message.rules,
+                                   this.fieldValue_(message.field))
+    });
+  }
+  return results;
+};
+
+/**
+ * Checks if a field is in a scope. A field is in an element scope if the
+ * element contains it, or one of the elements sharing its name. It is in a
+ * validation group if it, or an element containing it, lists the group in
+ * its group attribute, e.g. data-group="draft publish". Fields that list no
+ * groups are only validated with the whole form.
+ * @private
+ * @this forms.Validation
+ * @param {string} fieldName Name of the field.
+ * @param {Element|string} scope Element or name of a validation group.
+ * @return {boolean} Boolean.
+ */
+forms.Validation.prototype.inScope_ = function(fieldName, scope) {
+  var field = this.formGet_(fieldName);
+  var fields = !field ? [] : (typeof field.type === 'undefined') ? field :
+      [field];
+
+  for (var i = 0, len = fields.length; i < len; i++) {
+    if (typeof scope !== 'string') {
+      if (scope === fields[i] || scope.contains(fields[i])) {
+        return true;
+      }
+      continue;
+    }
+    for (var node = fields[i]; node && node.getAttribute;
+         node = node.parentNode) {
+      var groups = ' ' + (node.getAttribute(this.groupAttribute) || '') + ' ';
+      if (groups.replace(/\s+/g, ' ').indexOf(' ' + scope + ' ') > -1) {
+        return true;
+      }
+      if (node === this.form_) {
+        break;
+      }
+    }
+  }
+  return false;
+};
+
+/**
+ * Returns the error messages of the form, along with the rules each one
+ * checks. In browsers with MutationObserver, they are kept until the form
+ * changes, otherwise the form is scanned on every call.
+ * @private
+ * @this forms.Validation
+ * @return {Array} Messages, each with a field name, an error id, the error
+ *     element, if any, and the rules.
+ */
+forms.Validation.prototype.getMessages_ = function() {
+  var settings = [this.constraints, this.prefix, this.errorClass,
+                  this.errorTag, this.suffix, this.multiClass,
+                  this.rulesAttribute].join('|');
+  if (this.observer_) {
+    this.handleMutations_(this.observer_.takeRecords());
+  }
+  if (!this.observer_ || !this.messages_ || this.settings_ !== settings) {
+    this.messages_ = this.scanMessages_();
+    this.settings_ = settings;
+  }
+  return this.messages_;
+};
+
+/**
+ * Scans the form for error messages. These come from the rule set if one
+ * was imported, otherwise from the class names and rules attributes of the
+ * error message elements, and the rules attributes of the fields.
+ * @private
+ * @this forms.Validation
+ * @return {Array} Messages, as returned by getMessages_.
+ */
+forms.Validation.prototype.scanMessages_ = function() {
+  var messages = [];
+
+  if (this.ruleSet_) {
+    var doc = this.form_.ownerDocument || document;
+    var names = [];
+    for (var i = 0, len = this.form_.elements.length; i < len; i++) {
+      names.push(this.form_.elements[i].name || '');
+    }
+    /**
+     * A rule set may have rules for fields the form does not render, e.g.
+     * one shared by several forms, and those have nothing to check.
+     */
+    messages = this.rules_.getMessages(this.ruleSet_, names);
+    for (var i = messages.length - 1; i >= 0; i--) {
+      if (!this.formGet_(messages[i].field)) {
+        messages.splice(i, 1);
+        continue;
+      }
+      messages[i].element = messages[i].errorId ?
+          doc.getElementById(messages[i].errorId) :
+          this.generated_[messages[i].field] || null;
+    }
+    return this.constraints ? this.addConstraintMessages_(messages) :
+        messages;
+  }
+
+  var errorMsgs = this.getElementsByClass_([this.errorClass, this.prefix],
+      this.form_, this.errorTag);
+  for (var i = 0, len = errorMsgs.length; i < len; i++) {
+    /**
+     * Elements created for generated messages have no rules.
+     */
+    if (errorMsgs[i].getAttribute('data-generated') === 'element') {
+      continue;
+    }
+    var rules = this.attributeRules_(errorMsgs[i]);
+    if (!rules) {
+      continue;
+    }
+    messages.push({
+      field: this.getFieldName_(errorMsgs[i].id, errorMsgs[i].className),
+      errorId: errorMsgs[i].id,
+      element: errorMsgs[i],
+      rules: this.classRules_(errorMsgs[i].className).concat(rules)
+    });
+  }
+  messages = this.addAttributeMessages_(messages, errorMsgs);
+  return this.constraints ? this.addConstraintMessages_(messages) : messages;
+};
+
+/**
+ * Watches the form for fields, error messages and rules that are added,
+ * removed or changed, e.g. when rows of a repeating group are added, so the
+ * error messages are only scanned again when needed.
+ * @private
+ * @this forms.Validation
+ */
+forms.Validation.prototype.observe_ = function() {
+  this.observer_ = new MutationObserver(function(obj) {
+    return function(records) { obj.handleMutations_(records); };
+  }(this));
+  this.observer_.observe(this.form_, {
+    'childList': true,
+    'subtree': true,
+    'attributes': true,
+    'attributeFilter': ['class', 'id', 'name', 'type', 'required', 'pattern',
+                        'min', 'max', 'step', 'minlength', 'maxlength',
+                        this.rulesAttribute]
+  });
+};
+
+/**
+ * Handles changes to the form. Changes to elements the validator added, such
+ * as the error summary, and to the text of error messages are ignored.
+ * @private
+ * @this forms.Validation
+ * @param {Array} records Mutation records.
+ */
+forms.Validation.prototype.handleMutations_ = function(records) {
+  var changed = false;
+  var removed = false;
+
+  for (var i = 0, len = records.length; i < len; i++) {
+    var record = records[i];
+    if (this.isCreated_(record.target)) {
+      continue;
+    }
+    if (record.type === 'attributes') {
+      /**
+       * The classes of fields are not rules, and are used for styling.
+       */
+      changed = changed || record.attributeName !== 'class' ||
+          !/^(?:input|select|textarea)$/i.test(record.target.tagName);
+      continue;
+    }
+    var nodes = [record.addedNodes, record.removedNodes];
+    for (var j = 0; j < 2; j++) {
+      for (var k = 0; k < nodes[j].length; k++) {
+        if (nodes[j][k].nodeType === 1 && !this.isCreated_(nodes[j][k])) {
+          changed = true;
+          removed = removed || j === 1;
+        }
+      }
+    }
+  }
+  if (changed) {
+    this.messages_ = null;
+    this.updateStateClasses_();
+  }
+  if (removed) {
+    this.prune_();
+  }
+};
+
+/**
+ * Checks if a node is, or is inside, an element the validator added.
+ * @private
+ * @this forms.Validation
+ * @param {Node} node Node.
+ * @return {boolean} Boolean.
+ */
+forms.Validation.prototype.isCreated_ = function(node) {
+  for (var i = 0, len = this.created_.length; i < len; i++) {
+    if (this.created_[i] === node || this.created_[i].contains(node)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Forgets the state kept for fields that were removed: asynchronous results,
+ * which are aborted if pending, generated error messages and summary
+ * entries.
+ * @private
+ * @this forms.Validation
+ */
+forms.Validation.prototype.prune_ = function() {
+  for (var key in this.asyncResults_) {
+    var entry = this.asyncResults_[key];
+    if (!this.formGet_(key.substring(0, key.indexOf(' ')))) {
+      if (entry.valid === null && entry.promise.abort) {
+        entry.promise.abort();
+      }
+      delete this.asyncResults_[key];
+    }
+  }
+  for (var fieldName in this.generated_) {
+    if (!this.formGet_(fieldName)) {
+      var element = this.generated_[fieldName];
+      if (element.parentNode) {
+        element.parentNode.removeChild(element);
+      }
+      delete this.generated_[fieldName];
+    }
+  }
+  for (var fieldName in this.summaryErrors_) {
+    if (!this.formGet_(fieldName)) {
+      delete this.summaryErrors_[fieldName];
+    }
+  }
+  for (var i = this.created_.length - 1; i >= 0; i--) {
+    if (!this.form_.contains(this.created_[i]) &&
+        this.created_[i] !== this.summaryContainer &&
+        this.created_[i] !== this.liveRegion) {
+      this.created_.splice(i, 1);
+    }
+  }
+};
+
+/**
+ * Scans the form for error messages again on the next validation, and
+ * forgets the state of fields that were removed. This happens by itself in
+ * browsers with MutationObserver; call it after changing the form in others.
+ * @this forms.Validation
+ */
+forms.Validation.prototype.refresh = function() {
+  this.assertActive_();
+  this.messages_ = null;
+  this.prune_();
+};
+
+/**
+ * Adds the messages of the elements with a rules attribute that were not
+ * found by their class names. A rules attribute on a field adds a message
+ * before the other messages of the field, shown in the element with the id
+ * of the field name and suffix, if there is one, as for constraints. On any
+ * other element, it adds a message shown in that element, whose id names
+ * the field as for class names.
+ * @private
+ * @this forms.Validation
+ * @param {Array} messages Messages found by class names.
+ * @param {Array} errorMsgs Error message elements found by class names.
+ * @return {Array} Messages, including those of rules attributes.
+ */
+forms.Validation.prototype.addAttributeMessages_ = function(messages,
+    errorMsgs) {
+  var doc = this.form_.ownerDocument || document;
+  var elements = this.form_.getElementsByTagName('*');
+  var seen = {};
+
+  for (var i = 0, len = elements.length; i < len; i++) {
+    var element = elements[i];
+    if (!element.getAttribute(this.rulesAttribute) ||
+        errorMsgs.indexOf(element) > -1) {
+      continue;
+    }
+    var rules = this.attributeRules_(element);
+    if (!rules) {
+      continue;
+    }
+    if (!/^(?:input|select|textarea)$/i.test(element.tagName)) {
+      messages.push({
+        field: this.getFieldName_(element.id, element.className),
+        errorId: element.id,
+        element: element,
+        rules: rules
+      });
+      continue;
+    }
+    var fieldName = element.name.replace(/\[\]$/, '');
+    if (!fieldName || seen[fieldName]) {
+      continue;
+    }
+    seen[fieldName] = true;
+    for (var j = 0; j < messages.length; j++) {
+      if (messages[j].field === fieldName) {
+        break;
+      }
+    }
+    /**
+     * An error message element without rules of its own only shows the
+     * message of the field's rules.
+     */
+    var replace = (j < messages.length && !messages[j].rules.length &&
+        messages[j].errorId === fieldName + this.suffix) ? 1 : 0;
+    messages.splice(j, replace, {
+      field: fieldName,
+      errorId: fieldName + this.suffix,
+      element: doc.getElementById(fieldName + this.suffix),
+      rules: rules
+    });
+  }
+  return messages;
+};
+
+/**
+ * Returns the rules in the rules attribute of an element, parsed with
+ * forms.Rules.prototype.parseRules. Rules that cannot be parsed fire
+ * ruleserror on the element, see dispatch_, rather than break validation.
+ * @private
+ * @this forms.Validation
+ * @param {Element} element Field or error message element.
+ * @return {Array} Rules, each with a method and args, or null if they
+ *     cannot be parsed, in which case the element is skipped.
+ */
+forms.Validation.prototype.attributeRules_ = function(element) {
+  try {
+    return this.rules_.parseRules(element.getAttribute(this.rulesAttribute) ||
+                                  '');
+  } catch (e) {
+    if (!(e instanceof SyntaxError)) {
+      throw e;
+    }
+    this.dispatch_(element, 'ruleserror', {'error': e});
+    return null;
+  }
+};
+
+/**
+ * Adds a message for the constraint attributes of each field that has any,
+ * before the other messages of the same field.
+ * @private
+ * @this forms.Validation
+ * @param {Array} messages Messages returned by getMessages_.
+ * @return {Array} Messages, including the constraint messages.
+ */
+forms.Validation.prototype.addConstraintMessages_ = function(messages) {
+  var doc = this.form_.ownerDocument || document;
+  var elements = this.form_.elements;
+  var seen = {};
+
+  for (var i = 0, len = elements.length; i < len; i++) {
+    var fieldName = elements[i].name.replace(/\[\]$/, '');
+    if (!fieldName || seen[fieldName]) {
+      continue;
+    }
+    seen[fieldName] = true;
+    var rules = this.constraintRules_(elements[i], fieldName);
+    if (!rules.length) {
+      continue;
+    }
+    var message = {
+      field: fieldName,
+      errorId: fieldName + this.suffix,
+      element: doc.getElementById(fieldName + this.suffix),
+      rules: rules
+    };
+    for (var j = 0; j < messages.length; j++) {
+      if (messages[j].field === fieldName) {
+        break;
+      }
+    }
+    messages.splice(j, 0, message);
+  }
+  return messages;
+};
+
+/**
+ * Reads the constraint attributes of a field as rules.
+ * @private
+ * @this forms.Validation
+ * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} field HTML
+ *     form field.
+ * @param {string} fieldName Name of the field, without [].
+ * @return {Array} Rules, or an empty array if the field has no constraints.
+ */
+forms.Validation.prototype.constraintRules_ = function(field, fieldName) {
+  var rules = [];
+  var type = (field.getAttribute('type') || '').toLowerCase();
+  var types = {'email': 'email', 'url': 'url', 'tel': 'phone'};
+  var min = field.getAttribute('min');
+  var max = field.getAttribute('max');
+  var step = field.getAttribute('step');
+  var minLength = field.getAttribute('minlength');
+  var maxLength = field.getAttribute('maxlength');
+
+  if (types.hasOwnProperty(type)) {
+    rules.push({'method': types[type], 'args': []});
+  }
+  if (field.getAttribute('pattern') !== null) {
+    rules.push({'method': 'pattern', 'args': [field.getAttribute('pattern')]});
+  }
+  if (minLength !== null || maxLength !== null) {
+    var args = [String(parseInt(minLength || '0', 10))];
+    if (maxLength !== null) {
+      args.push(String(parseInt(maxLength, 10)));
+    }
+    rules.push({'method': 'len', 'args': args});
+  }
+  /**
+   * Other input types, such as date, have min, max and step values that are
+   * not numbers.
+   */
+  if (type === 'number' || type === 'range') {
+    if (min !== null) {
+      rules.push({'method': 'min', 'args': [min]});
+    }
+    if (max !== null) {
+      rules.push({'method': 'max', 'args': [max]});
+    }
+    if (step !== null && step !== 'any') {
+      rules.push({'method': 'step', 'args': [step, min || '0']});
+    }
+  }
+
+  if (field.getAttribute('required') !== null) {
+    rules.unshift({'method': 'required', 'args': []});
+  } else if (rules.length) {
+    rules.unshift({'method': 'if', 'args': [fieldName]});
+  }
+  return rules;
+};
+
+/**
+ * Returns the rules defined by the class names of an error message.
+ * @private
+ * @this forms.Validation
+ * @param {string} className Class string of the error message.
+ * @return {Array} Rules, each with a method and args.
+ */
+forms.Validation.prototype.classRules_ = function(className) {
+  /**
+   * {Array} classArr List of class names from the element.
+   */
+  var classArr = className.split(' ');
+  var rules = [];
+
+  for (var i = 0, className; className = classArr[i]; i++) {
+    if (className.substring(0, this.prefix.length) !== this.prefix) {
+      continue;
+    }
+    var classNameParts = this.splitClassName_(className);
+
+    switch (classNameParts['method']) {
+      /**
+       * Don't validate against the multiClass name.
+       */
+      case this.multiClass:
+        break;
+      /**
+       * Added to help with backward-compatibility/migration.
+       * change class="error" to class="v-error" and use .v-error in your
+       * style sheet.
+       */
+      case this.errorClass:
+        if (!this.rules_.hasValidator(classNameParts['method'])) {
+          classNameParts['method'] = 'required';
+        }
+        rules.push(classNameParts);
+        break;
+      default:
+        rules.push(classNameParts);
+        break;
+    }
+  }
+  return rules;
+};
+
+/**
+ * Returns the rules of the form as a rule set, which can be serialized with
+ * JSON.stringify, used with importRules, or used with forms.Rules to
+ * validate the same fields on a server. Messages that are required only
+ * because of the type of their field, see defaultRules_, get an explicit
+ * required rule. For example:
+ * {'serial': [{'method': 'required', 'args': [], 'errorId': 'serial-0-err'},
+ *             {'method': 'len', 'args': ['4', '8'],
+ *              'errorId': 'serial-1-err'}]}
+ * @this forms.Validation
+ * @return {Object} Rules, keyed by field name, in the order they are checked.
+ */
+forms.Validation.prototype.exportRules = function() {
+  this.assertActive_();
+  var ruleSet = {};
+  var messages = this.getMessages_();
+
+  for (var i = 0, len = messages.length; i < len; i++) {
+    var message = messages[i];
+    if (!message.field) {
+      continue;
+    }
+    ruleSet[message.field] = ruleSet[message.field] || [];
+    var rules = message.rules;
+    if (this.hasDefaultRule_(message)) {
+      rules = rules.concat([{'method': 'required', 'args': []}]);
+    }
+    for (var j = 0; j < rules.length; j++) {
+      ruleSet[message.field].push({'method': rules[j]['method'],
+                                   'args': rules[j]['args'],
+                                   'errorId': message.errorId || null});
+    }
+  }
+  return ruleSet;
+};
+
+/**
+ * Checks if an error message is checked with the required rule that
+ * defaultRules_ adds, because its field is a checkbox, radio group,
+ * dropdown or textarea, and the message has no rules besides conditions.
+ * @private
+ * @this forms.Validation
+ * @param {Object} message Message returned by getMessages_.
+ * @return {boolean} Boolean.
+ */
+forms.Validation.prototype.hasDefaultRule_ = function(message) {
+  var field = this.formGet_(message.field);
+
+  for (var i = 0, len = message.rules.length; i < len; i++) {
+    if (!this.rules_.isCondition(message.rules[i]['method'])) {
+      return false;
+    }
+  }
+  field = (field && typeof field.type === 'undefined') ? field[0] : field;
+  return !!field &&
+      /^(?:checkbox|radio|select-multiple|select-one|textarea)$/.test(
+          field.type);
+};
+
+/**
+ * Uses a rule set, such as one returned by exportRules, instead of the class
+ * names of error messages. Error messages are found by the errorId of each
+ * rule, and need no class names. Rules without an errorId are still checked,
+ * but have no message to show.
+ * @this forms.Validation
+ * @param {Object|string} ruleSet Rules keyed by field name, or the same as
+ *     JSON. See forms.Rules.prototype.validate for the format.
+ */
+forms.Validation.prototype.importRules = function(ruleSet) {
+  this.ruleSet_ = (typeof ruleSet === 'string') ? JSON.parse(ruleSet) :
+      ruleSet;
+  this.messages_ = null;
+};
+
+/**
+ * Shows the first failing error message of each field, and hides the rest.
+ * @private
+ * @this forms.Validation
+ * @param {Array} results Results returned by checkErrors_.
+ */
+forms.Validation.prototype.showErrors_ = function(results) {
+  var shown = {};
+  var shownElements = [];
+
+  for (var i = 0, len = results.length; i < len; i++) {
+    var result = results[i];
+    var display = !!result.rule && !shown[result.field];
+    if (display && this.generateMessages) {
+      result.element = this.generateMessage_(result);
+    }
+    if (display) {
+      shown[result.field] = result.element || true;
+      shownElements.push(result.element);
+    }
+    /**
+     * Constraint messages may share their element with another message.
+     */
+    if (result.element && (display ||
+        shownElements.indexOf(result.element) < 0)) {
+      this.display_(result.element, display);
+    }
+  }
+  if (this.aria) {
+    this.setAria_(results, shown);
+  }
+  if (this.customValidity) {
+    this.setCustomValidity_(results, shown);
+  }
+  if (this.summary) {
+    this.renderSummary_(results, shown);
+  }
+};
+
+/**
+ * Creates the error message element of a result if there is none, and fills
+ * in its text from the message catalog if it was generated or is empty.
+ * Generated elements are placed after their field.
+ * @private
+ * @this forms.Validation
+ * @param {Object} result Result returned by checkErrors_.
+ * @return {Element} Error message element.
+ */
+forms.Validation.prototype.generateMessage_ = function(result) {
+  var doc = this.form_.ownerDocument || document;
+  var element = result.element;
+
+  if (!element) {
+    var field = this.formGet_(result.field);
+    var target = (typeof field.type === 'undefined') ?
+        field[field.length - 1] : field;
+    element = doc.createElement(this.errorTag || 'span');
+    element.id = result.errorId || result.field + this.suffix;
+    element.className = this.errorClass;
+    element.setAttribute('data-generated', 'element');
+    target.parentNode.insertBefore(element, target.nextSibling);
+    this.created_.push(element);
+    this.generated_[result.field] = element;
+    this.messages_ = null;
+  }
+  if (element.getAttribute('data-generated') ||
+      !this.messageText_(element, true)) {
+    element.innerHTML = '';
+    element.appendChild(doc.createTextNode(this.formatMessage(result.rule)));
+    if (!element.getAttribute('data-generated')) {
+      element.setAttribute('data-generated', 'text');
+    }
+    element.rule_ = result.rule;
+  }
+  return element;
+};
+
+/**
+ * Formats the message for a rule, using the catalog of the current locale,
+ * then the English catalog. The message for len-2-40 is the first of
+ * len-2.2 (len-2 with 2 args), len-2, len.2 (len with 2 args) and len that
+ * the catalog has, with {0} and {1}, or their names in messageArgs, {min}
+ * and {max}, replaced by the args. So file-count-2 uses file-count.2, and
+ * file-count-1-3 uses file-count.
+ * @this forms.Validation
+ * @param {Object} rule Rule, with a method and args.
+ * @return {string} Message.
+ */
+forms.Validation.prototype.formatMessage = function(rule) {
+  var method = rule['method'];
+  var args = rule['args'] || [];
+  var keys = [method + '-' + args[0] + '.' + args.length,
+              method + '-' + args[0], method + '.' + args.length, method,
+              'default'];
+  var catalogs = [this.catalogs[this.locale] || {}, this.catalogs['en']];
+  var template = this.defaultMessage;
+
+  search:
+  for (var i = 0; i < catalogs.length; i++) {
+    for (var j = 0; j < keys.length; j++) {
+      if (catalogs[i].hasOwnProperty(keys[j])) {
+        template = catalogs[i][keys[j]];
+        break search;
+      }
+    }
+  }
+  var names = this.messageArgs[method] || [];
+  return template.replace(/\{(\w+)\}/g, function(match, name) {
+    for (var i = 0; i < names.length; i++) {
+      if (names[i] === name) {
+        name = String(i);
+        break;
+      }
+    }
+    return (name in args) ? String(args[name]) : match;
+  });
+};
+
+/**
+ * Adds messages to the catalog of a locale, replacing any that it has.
+ * @this forms.Validation
+ * @param {string} locale Locale, e.g. 'de' or 'pt-BR'.
+ * @param {Object} messages Message templates, keyed as for formatMessage.
+ */
+forms.Validation.prototype.addCatalog = function(locale, messages) {
+  var catalog = this.catalogs[locale] = this.catalogs[locale] || {};
+
+  for (var key in messages) {
+    if (messages.hasOwnProperty(key)) {
+      catalog[key] = messages[key];
+    }
+  }
+};
+
+/**
+ * Switches the locale of generated messages, and updates the ones that are
+ * currently shown.
+ * @this forms.Validation
+ * @param {string} locale Locale, e.g. 'de' or 'pt-BR'.
+ */
+forms.Validation.prototype.setLocale = function(locale) {
+  this.assertActive_();
+  var doc = this.form_.ownerDocument || document;
+  var messages = this.getMessages_();
+  this.locale = locale;
+
+  for (var i = 0, len = messages.length; i < len; i++) {
+    var element = messages[i].element;
+    if (element && element.rule_ && element.getAttribute('data-generated')) {
+      element.innerHTML = '';
+      element.appendChild(doc.createTextNode(
+          this.formatMessage(element.rule_)));
+    }
+  }
+};
+
+/**
+ * Gets the text of an error message.
+ * @private
+ * @this forms.Validation
+ * @param {Element|boolean} element Error message element, or true if the
+ *     error has no element.
+ * @param {boolean=} opt_noDefault True to return an empty string instead of
+ *     defaultMessage.
+ * @return {string} Message text, or defaultMessage if there is none.
+ */
+forms.Validation.prototype.messageText_ = function(element, opt_noDefault) {
+  var text = (element === true) ? '' :
+      element.textContent || element.innerText || '';
+  text = text.replace(/^\s+|\s+$/g, '');
+  return (text || opt_noDefault) ? text : this.defaultMessage;
+};
+
+/**
+ * Renders the error summary, which lists the message of every invalid field,
+ * in form order, as a link that focuses the field.
+ * @private
+ * @this forms.Validation
+ * @param {Array} results Results returned by checkErrors_.
+ * @param {Object} shown The element shown for each invalid field, or true if
+ *     it has no element.
+ */
+forms.Validation.prototype.renderSummary_ = function(results, shown) {
+  var doc = this.form_.ownerDocument || document;
+  var container = this.summaryContainer;
+
+  for (var i = 0, len = results.length; i < len; i++) {
+    var fieldName = results[i].field;
+    if (shown[fieldName]) {
+      this.summaryErrors_[fieldName] = this.messageText_(shown[fieldName]);
+    } else {
+      delete this.summaryErrors_[fieldName];
+    }
+  }
+
+  if (!container) {
+    container = this.summaryContainer = doc.createElement('div');
+    container.className = this.summaryClass;
+    this.form_.insertBefore(container, this.form_.firstChild);
+    this.created_.push(container);
+  }
+  container.innerHTML = '';
+
+  var list = doc.createElement('ul');
+  var messages = this.getMessages_();
+  var listed = {};
+  for (var i = 0, len = messages.length; i < len; i++) {
+    var fieldName = messages[i].field;
+    if (!fieldName || listed[fieldName] ||
+        !this.summaryErrors_.hasOwnProperty(fieldName)) {
+      continue;
+    }
+    listed[fieldName] = true;
+
+    var field = this.formGet_(fieldName);
+    var target = (typeof field.type === 'undefined') ? field[0] : field;
+    var item = doc.createElement('li');
+    var link = doc.createElement('a');
+    link.href = '#' + (target.id || fieldName);
+    link.appendChild(doc.createTextNode(this.summaryErrors_[fieldName]));
+    link.onclick = function(obj, field) {
+      return function() {
+        obj.focus_(field);
+        return false;
+      };
+    }(this, field);
+    item.appendChild(link);
+    list.appendChild(item);
+  }
+
+  if (list.firstChild) {
+    var heading = doc.createElement('p');
+    heading.appendChild(doc.createTextNode(this.summaryHeading));
+    container.appendChild(heading);
+    container.appendChild(list);
+    container.style.display = '';
+  } else {
+    container.style.display = 'none';
+  }
+};
+/**
+ * Sets aria-invalid on the fields that were validated, and links each one
+ * to its visible error message through aria-describedby, so screen readers
+ * read the message along with the field.
+ * @private
+ * @this forms.Validation
+ * @param {Array} results Results returned by checkErrors_.
+ * @param {Object} shown The element shown for each invalid field, or true if
+ *     it has no element.
+ */
+forms.Validation.prototype.setAria_ = function(results, shown) {
+  var fields = {};
+
+  for (var i = 0, len = results.length; i < len; i++) {
+    var fieldName = results[i].field;
+    var field = this.formGet_(fieldName);
+    if (!field) {
+      continue;
+    }
+    if (!fields[fieldName]) {
+      fields[fieldName] = (typeof field.type === 'undefined') ? field :
+          [field];
+    }
+    for (var j = 0; j < fields[fieldName].length; j++) {
+      var describedBy = ' ' + (fields[fieldName][j].getAttribute(
+          'aria-describedby') || '') + ' ';
+      var errorId = results[i].errorId ||
+          (results[i].element ? results[i].element.id : '');
+
+      if (errorId) {
+        describedBy = describedBy.replace(' ' + errorId + ' ', ' ');
+        if (shown[fieldName] === results[i].element) {
+          describedBy += errorId;
+        }
+      }
+      describedBy = describedBy.replace(/^\s+|\s+$/g, '');
+      if (describedBy) {
+        fields[fieldName][j].setAttribute('aria-describedby', describedBy);
+      } else {
+        fields[fieldName][j].removeAttribute('aria-describedby');
+      }
+      fields[fieldName][j].setAttribute('aria-invalid',
+                                        shown[fieldName] ? 'true' : 'false');
+    }
+  }
+};
+
+/**
+ * Announces a message to screen readers through an ARIA live region. Unless
+ * liveRegion is set, a visually hidden one is added to the form.
+ * @private
+ * @this forms.Validation
+ * @param {string} text Message to announce, or an empty string to clear it.
+ */
+forms.Validation.prototype.announce_ = function(text) {
+  var doc = this.form_.ownerDocument || document;
+  var region = this.liveRegion;
+
+  if (!region) {
+    region = this.liveRegion = doc.createElement('div');
+    region.setAttribute('role', 'status');
+    region.setAttribute('aria-live', 'polite');
+    region.style.cssText = 'position:absolute;width:1px;height:1px;' +
+        'overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;';
+    this.form_.appendChild(region);
+    this.created_.push(region);
+  }
+  /**
+   * Screen readers only announce changes, so the text is cleared first, and
+   * added once they have noticed.
+   */
+  region.innerHTML = '';
+  window.clearTimeout(this.announceTimer_);
+  if (text) {
+    this.announceTimer_ = window.setTimeout(function() {
+      region.appendChild(doc.createTextNode(text));
+    }, 100);
+  }
+};
+
+/**
+ * Sets the custom validity of the fields that were validated, using the
+ * text of the error message that is shown for each.
+ * @private
+ * @this forms.Validation
+ * @param {Array} results Results returned by checkErrors_.
+ * @param {Object} shown The element shown for each invalid field, or true if
+ *     it has no element.
+ */
+forms.Validation.prototype.setCustomValidity_ = function(results, shown) {
+  var done = {};
+
+  if (!this.validityListener_) {
+    this.validityListener_ = this.listen_(this.form_, 'input', function(e) {
+      var target = (e || window.event).target || (e || window.event).srcElement;
+      if (target && target.setCustomValidity) {
+        target.setCustomValidity('');
+      }
+    });
+  }
+  for (var i = 0, len = results.length; i < len; i++) {
+    var fieldName = results[i].field;
+    if (done[fieldName]) {
+      continue;
+    }
+    done[fieldName] = true;
+
+    var element = shown[fieldName];
+    var message = element ? this.messageText_(element) : '';
+    var field = this.formGet_(fieldName);
+    var fields = (typeof field.type === 'undefined') ? field : [field];
+    for (var j = 0; j < fields.length; j++) {
+      if (fields[j].setCustomValidity) {
+        fields[j].setCustomValidity(message);
+      }
+    }
+  }
+};
+/**
+ * Validates a single field, showing or hiding only the error messages that
+ * belong to it. Only the first failing error message is displayed.
+ * @this forms.Validation
+ * @param {string} fieldName Name of the form field.
+ * @return {boolean} Boolean.
+ */
+forms.Validation.prototype.validateField = function(fieldName) {
+  this.assertActive_();
+  if (!this.dispatch_(this.form_, 'beforevalidate', {'field': fieldName})) {
+    return false;
+  }
+  var results = this.checkErrors_(fieldName);
+  this.dispatchFieldEvents_(results);
+  this.showErrors_(results);
+  var report = this.rules_.buildReport(results);
+  return this.dispatch_(this.form_, 'aftervalidate', {'report': report}) &&
+      report['valid'];
+};
+
+/**
+ * Enables live validation. A field is validated when it loses focus or its
+ * value changes. If a delay is given, fields are also validated while the
+ * user types, once they have stopped typing for that many milliseconds.
+ * @this forms.Validation
+ * @param {number=} opt_delay Milliseconds to wait after the last keystroke
+ *     before validating. Omit to disable as-you-type validation.
+ */
+forms.Validation.prototype.enableLive = function(opt_delay) {
+  this.assertActive_();
+  this.disableLive();
+  var handler = function(obj) {
+    return function(e) { obj.liveHandler_(e || window.event); };
+  }(this);
+
+  this.liveListeners_.push(this.listen_(this.form_, 'blur', handler, true),
+      this.listen_(this.form_, 'change', handler));
+  if (typeof opt_delay === 'number') {
+    var delayed = function(obj) {
+      return function(e) {
+        var target = (e || window.event).target ||
+            (e || window.event).srcElement;
+        window.clearTimeout(obj.liveTimer_);
+        obj.liveTimer_ = window.setTimeout(function() {
+          obj.liveHandler_({'target': target});
+        }, opt_delay);
+      };
+    }(this);
+    this.liveListeners_.push(this.listen_(this.form_, 'input', delayed));
+  }
+};
+
+/**
+ * Disables live validation and detaches its event listeners.
+ * @this forms.Validation
+ */
+forms.Validation.prototype.disableLive = function() {
+  window.clearTimeout(this.liveTimer_);
+  this.liveTimer_ = null;
+  for (var i = 0, len = this.liveListeners_.length; i < len; i++) {
+    this.unlisten_(this.liveListeners_[i]);
+  }
+  this.liveListeners_ = [];
+};
+
+/**
+ * Validates the field that triggered a live validation event.
+ * @private
+ * @this forms.Validation
+ * @param {Event|Object} e Event, or an object with a target property.
+ */
+forms.Validation.prototype.liveHandler_ = function(e) {
+  var target = e.target || e.srcElement;
+  var fieldName = target && (target.name || target.id);
+
+  if (!fieldName) {
+    return;
+  }
+  /**
+   * Checkbox arrays are named field[], but their error messages use field.
+   */
+  if (fieldName.substring(fieldName.length - 2) === '[]') {
+    fieldName = fieldName.substring(0, fieldName.length - 2);
+  }
+  /**
+   * Values are not rewritten while the user is typing.
+   */
+  if (this.writeNormalized && e.type) {
+    this.writeNormalized_(fieldName);
+  }
+  if (this.validateField(fieldName) && this.pending_.length) {
+    this.validateFieldAsync(fieldName);
+  }
+};
+
+/**
+ * Checks if the value of a field, or of any field in the form, differs from
+ * its initial value. Fields start out with the values they have when the
+ * validator is created, which setPristine replaces. Fields added later start
+ * out with the values in their markup.
+ * @this forms.Validation
+ * @param {string=} opt_fieldName Name of the form field.
+ * @return {boolean} True if the field is dirty, false if it is pristine.
+ */
+forms.Validation.prototype.isDirty = function(opt_fieldName) {
+  var elements = this.stateElements_(opt_fieldName);
+
+  for (var i = 0, len = elements.length; i < len; i++) {
+    if (this.isElementDirty_(elements[i], opt_fieldName ? -1 : i)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Checks if the user has left a field, or any field in the form, since the
+ * validator was created or setUntouched was called.
+ * @this forms.Validation
+ * @param {string=} opt_fieldName Name of the form field.
+ * @return {boolean} True if the field is touched, false if it is untouched.
+ */
+forms.Validation.prototype.isTouched = function(opt_fieldName) {
+  if (opt_fieldName) {
+    return this.touched_.hasOwnProperty(opt_fieldName);
+  }
+  for (var fieldName in this.touched_) {
+    if (this.touched_.hasOwnProperty(fieldName)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Makes the current value of a field, or of all fields, its initial value,
+ * e.g. after the form has been saved, so it is pristine again. This also
+ * resets the unsaved changes warning.
+ * @this forms.Validation
+ * @param {string=} opt_fieldName Name of the form field.
+ */
+forms.Validation.prototype.setPristine = function(opt_fieldName) {
+  var elements = this.stateElements_(opt_fieldName);
+
+  /**
+   * Keep the states of all fields in the order of the form, see
+   * pristineState_.
+   */
+  if (!opt_fieldName) {
+    this.pristine_ = [];
+  }
+  for (var i = 0, len = elements.length; i < len; i++) {
+    var state = this.elementState_(elements[i], false);
+    for (var j = 0; j < this.pristine_.length; j++) {
+      if (this.pristine_[j][0] === elements[i]) {
+        break;
+      }
+    }
+    this.pristine_[j] = [elements[i], state];
+  }
+  this.updateStateClasses_(opt_fieldName);
+};
+
+/**
+ * Marks a field, or all fields, as untouched.
+ * @this forms.Validation
+ * @param {string=} opt_fieldName Name of the form field.
+ */
+forms.Validation.prototype.setUntouched = function(opt_fieldName) {
+  if (opt_fieldName) {
+    delete this.touched_[opt_fieldName];
+  } else {
+    this.touched_ = {};
+  }
+  this.updateStateClasses_(opt_fieldName);
+};
+
+/**
+ * Enables state classes. Each field gets either pristineClass or dirtyClass,
+ * and either untouchedClass or touchedClass, which are kept up to date as
+ * the user edits the form, so CSS can e.g. only highlight invalid fields
+ * once they have been touched: input.touched:invalid.
+ * @this forms.Validation
+ */
+forms.Validation.prototype.enableStateClasses = function() {
+  this.assertActive_();
+  this.disableStateClasses();
+  var handler = function(obj) {
+    return function(e) { obj.stateHandler_(e || window.event); };
+  }(this);
+
+  this.stateListeners_.push(this.listen_(this.form_, 'input', handler),
+      this.listen_(this.form_, 'change', handler));
+  this.stateClasses_ = true;
+  this.updateStateClasses_();
+};
+
+/**
+ * Disables state classes and removes them from the fields.
+ * @this forms.Validation
+ */
+forms.Validation.prototype.disableStateClasses = function() {
+  for (var i = 0, len = this.stateListeners_.length; i < len; i++) {
+    this.unlisten_(this.stateListeners_[i]);
+  }
+  this.stateListeners_ = [];
+  if (!this.stateClasses_) {
+    return;
+  }
+  this.stateClasses_ = false;
+  var elements = this.stateElements_();
+  var classes = [this.pristineClass, this.dirtyClass, this.untouchedClass,
+                 this.touchedClass];
+
+  for (var i = 0, len = elements.length; i < len; i++) {
+    for (var j = 0; j < classes.length; j++) {
+      this.setClass_(elements[i], classes[j], false);
+    }
+  }
+};
+
+/**
+ * Warns the user before leaving the page while the form has unsaved
+ * changes, see isDirty. The warning is reset when the form is submitted
+ * after passing isValid, or without validation, unless validsubmit is
+ * canceled, and by setPristine.
+ * @this forms.Validation
+ * @param {string=} opt_message Message of the warning, if the browser shows
+ *     it. Defaults to unloadMessage.
+ */
+forms.Validation.prototype.enableUnloadGuard = function(opt_message) {
+  this.assertActive_();
+  this.disableUnloadGuard();
+  this.unloadListener_ = this.listen_(window, 'beforeunload', function(obj) {
+    return function(e) {
+      var message = opt_message || obj.unloadMessage;
+      if (!obj.form_ || !obj.isDirty()) {
+        return undefined;
+      }
+      e = e || window.event;
+      if (e.preventDefault) {
+        e.preventDefault();
+      }
+      e.returnValue = message;
+      return message;
+    };
+  }(this));
+};
+
+/**
+ * Disables the unsaved changes warning.
+ * @this forms.Validation
+ */
+forms.Validation.prototype.disableUnloadGuard = function() {
+  if (this.unloadListener_) {
+    this.unlisten_(this.unloadListener_);
+    this.unloadListener_ = null;
+  }
+};
+
+/**
+ * Marks the field that lost focus as touched, and updates the state classes
+ * of the field that triggered an event.
+ * @private
+ * @this forms.Validation
+ * @param {Event} e Event.
+ */
+forms.Validation.prototype.stateHandler_ = function(e) {
+  var target = e.target || e.srcElement;
+  var fieldName = target && target.name && target.name.replace(/\[\]$/, '');
+
+  if (!fieldName) {
+    return;
+  }
+  if (e.type === 'blur' || e.type === 'focusout') {
+    this.touched_[fieldName] = true;
+  }
+  this.updateStateClasses_(fieldName);
+};
+
+/**
+ * Sets the state classes of a field, or of all fields, if state classes are
+ * enabled.
+ * @private
+ * @this forms.Validation
+ * @param {string=} opt_fieldName Name of the form field.
+ */
+forms.Validation.prototype.updateStateClasses_ = function(opt_fieldName) {
+  if (!this.stateClasses_) {
+    return;
+  }
+  var elements = this.stateElements_(opt_fieldName);
+  var dirty = {};
+
+  /**
+   * A field is dirty if any of its elements is, e.g. one of its checkboxes.
+   */
+  for (var i = 0, len = elements.length; i < len; i++) {
+    var fieldName = elements[i].name.replace(/\[\]$/, '');
+    dirty[fieldName] = dirty[fieldName] ||
+        this.isElementDirty_(elements[i], opt_fieldName ? -1 : i);
+  }
+  for (var i = 0, len = elements.length; i < len; i++) {
+    var fieldName = elements[i].name.replace(/\[\]$/, '');
+    var touched = this.isTouched(fieldName);
+    this.setClass_(elements[i], this.pristineClass, !dirty[fieldName]);
+    this.setClass_(elements[i], this.dirtyClass, dirty[fieldName]);
+    this.setClass_(elements[i], this.untouchedClass, !touched);
+    this.setClass_(elements[i], this.touchedClass, touched);
+  }
+};
+
+/**
+ * Adds or removes a class of an element, leaving its other classes alone.
+ * @private
+ * @param {Element} element HTML element.
+ * @param {string} className Class name.
+ * @param {boolean} add True to add the class, false to remove it.
+ */
+forms.Validation.prototype.setClass_ = function(element, className, add) {
+  var classes = ' ' + element.className + ' ';
+  var has = classes.indexOf(' ' + className + ' ') > -1;
+
+  if (add && !has) {
+    element.className = element.className ?
+        element.className + ' ' + className : className;
+  } else if (!add && has) {
+    element.className = classes.replace(' ' + className + ' ', ' ')
+        .replace(/^\s+|\s+$/g, '');
+  }
+};
+
+/**
+ * Returns the form elements whose state is tracked: those with a name that
+ * the user can change, including hidden fields set by scripts.
+ * @private
+ * @this forms.Validation
+ * @param {string=} opt_fieldName Only return the elements of this field.
+ * @return {Array} Form elements.
+ */
+forms.Validation.prototype.stateElements_ = function(opt_fieldName) {
+  var elements = [];
+
+  if (!this.form_) {
+    return elements;
+  }
+  for (var i = 0, len = this.form_.elements.length; i < len; i++) {
+    var element = this.form_.elements[i];
+    if (!element.name ||
+        /^(?:button|fieldset|image|object|output|reset|submit)$/.test(
+            element.type) ||
+        (opt_fieldName &&
+         element.name.replace(/\[\]$/, '') !== opt_fieldName)) {
+      continue;
+    }
+    elements.push(element);
+  }
+  return elements;
+};
+
+/**
+ * Returns the state of a form element as a string, to compare it with its
+ * initial state: the value, whether it is checked, or which options are
+ * selected.
+ * @private
+ * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} element
+ *     Form element.
+ * @param {boolean} initial True for the state in the page's markup, false
+ *     for the current state.
+ * @return {string} State.
+ */
+forms.Validation.prototype.elementState_ = function(element, initial) {
+  switch (element.type) {
+    case 'checkbox':
+    case 'radio':
+      return String(initial ? element.defaultChecked : element.checked);
+    case 'select-one':
+    case 'select-multiple':
+      var state = '';
+      for (var i = 0, len = element.options.length; i < len; i++) {
+        var option = element.options[i];
+        state += (initial ? option.defaultSelected : option.selected) ?
+            '1' : '0';
+      }
+      /**
+       * Dropdowns without a selected option in the markup select the first.
+       */
+      if (initial && element.type === 'select-one' && state &&
+          state.indexOf('1') < 0) {
+        state = '1' + state.substring(1);
+      }
+      return state;
+    case 'file':
+      return initial ? '' : element.value;
+    default:
+      return initial ? element.defaultValue : element.value;
+  }
+};
+
+/**
+ * Checks if the state of a form element differs from its initial state.
+ * @private
+ * @this forms.Validation
+ * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} element
+ *     Form element.
+ * @param {number} index Index of the element among all those returned by
+ *     stateElements_, or -1 if it is not known.
+ * @return {boolean} Boolean.
+ */
+forms.Validation.prototype.isElementDirty_ = function(element, index) {
+  return this.elementState_(element, false) !==
+      this.pristineState_(element, index);
+};
+
+/**
+ * Returns the initial state of a form element, as set by setPristine or in
+ * the page's markup. setPristine keeps the states of all elements in the
+ * order of the form, so the state at the element's index is tried before
+ * searching for it.
+ * @private
+ * @this forms.Validation
+ * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} element
+ *     Form element.
+ * @param {number} index Index of the element among all those returned by
+ *     stateElements_, or -1 if it is not known.
+ * @return {string} State.
+ */
+forms.Validation.prototype.pristineState_ = function(element, index) {
+  if (index > -1 && index < this.pristine_.length &&
+      this.pristine_[index][0] === element) {
+    return this.pristine_[index][1];
+  }
+  for (var i = 0, len = this.pristine_.length; i < len; i++) {
+    if (this.pristine_[i][0] === element) {
+      return this.pristine_[i][1];
+    }
+  }
+  return this.elementState_(element, true);
+};
+
+/**
+ * Attaches an event listener and remembers it so it can be detached later.
+ * Blur events do not bubble, so they are captured, or mapped to focusout in
+ * browsers without addEventListener.
+ * @private
+ * @this forms.Validation
+ * @param {HTMLElement|Window} element Element to listen on.
+ * @param {string} type Event type, without the "on" prefix.
+ * @param {Function} handler Event handler.
+ * @param {boolean=} opt_capture True to listen in the capture phase.
+ * @return {Array} The listener, to pass to unlisten_.
+ */
+forms.Validation.prototype.listen_ = function(element, type, handler,
+    opt_capture) {
+  if (element.addEventListener) {
+    element.addEventListener(type, handler, !!opt_capture);
+  } else if (element.attachEvent) {
+    type = (type === 'blur') ? 'focusout' : type;
+    element.attachEvent('on' + type, handler);
+  }
+  var listener = [element, type, handler, !!opt_capture];
+  this.listeners_.push(listener);
+  return listener;
+};
+
+/**
+ * Detaches an event listener attached through listen_.
+ * @private
+ * @this forms.Validation
+ * @param {Array} listener Listener returned by listen_.
+ */
+forms.Validation.prototype.unlisten_ = function(listener) {
+  if (listener[0].removeEventListener) {
+    listener[0].removeEventListener(listener[1], listener[2], listener[3]);
+  } else if (listener[0].detachEvent) {
+    listener[0].detachEvent('on' + listener[1], listener[2]);
+  }
+  for (var i = 0, len = this.listeners_.length; i < len; i++) {
+    if (this.listeners_[i] === listener) {
+      this.listeners_.splice(i, 1);
+      break;
+    }
+  }
+};
+
+/**
+ * Registers a validation function, which can then be used in class names
+ * like any built-in method. For example, after
+ * addValidator('reserved', fn), class="v-reserved-admin-root" calls fn with
+ * the args ['admin', 'root']. Registering an existing name replaces it.
+ * See forms.Rules.prototype.addValidator.
+ * @this forms.Validation
+ * @param {string} name Method name used in class names, without prefix.
+ * @param {function(string, Array, Element, HTMLFormElement):
+ *     (boolean|Promise)} fn Called with the field value, the class name
+ *     args, the form field and the form. Returns true if the value passes.
+ * @param {function(string): ?string=} opt_detect Returns what was detected
+ *     in the field value, which validate reports.
+ */
+forms.Validation.prototype.addValidator = function(name, fn, opt_detect) {
+  this.rules_.addValidator(name, fn, opt_detect);
+};
+
+/**
+ * Registers a normalization function, which can then be used in normalize
+ * rules like any built-in normalizer, e.g. class="v-normalize-trim-slug".
+ * See forms.Rules.prototype.addNormalizer.
+ * @this forms.Validation
+ * @param {string} name Normalizer name used in rule args.
+ * @param {function(string, Array): string} fn Called with the value and the
+ *     normalizer's args. Returns the normalized value.
+ */
+forms.Validation.prototype.addNormalizer = function(name, fn) {
+  this.rules_.addNormalizer(name, fn);
+};
+
+/**
+ * Returns the normalize rules of a field, from all of its error messages.
+ * Values are read many times in each validation pass, so the rules of all
+ * fields are collected once from the messages of the last scan, and again
+ * only when the form has been scanned again.
+ * @private
+ * @this forms.Validation
+ * @param {string} fieldName Name of the form field.
+ * @return {Array} Normalize rules.
+ */
+forms.Validation.prototype.normalizeRules_ = function(fieldName) {
+  var messages = this.messages_ || this.getMessages_();
+
+  if (!this.normalizers_ || this.normalizers_.messages !== messages) {
+    var rules = {};
+    for (var i = 0, len = messages.length; i < len; i++) {
+      var field = messages[i].field;
+      for (var j = 0; j < messages[i].rules.length; j++) {
+        if (this.rules_.isNormalizer(messages[i].rules[j]['method'])) {
+          rules[field] = (rules[field] || []).concat(
+              [messages[i].rules[j]]);
+        }
+      }
+    }
+    this.normalizers_ = {messages: messages, rules: rules};
+  }
+  return this.normalizers_.rules.hasOwnProperty(fieldName) ?
+      this.normalizers_.rules[fieldName] : [];
+};
+
+/**
+ * Writes normalized values back into the text fields that have normalize
+ * rules, unless they are disabled or read-only. Fields whose value is
+ * already normalized are left alone, so the cursor does not move.
+ * @private
+ * @this forms.Validation
+ * @param {string=} opt_fieldName Only write the value of this field.
+ * @param {Element|string=} opt_scope Only write the values of the fields in
+ *     this element or validation group. See isValid.
+ */
+forms.Validation.prototype.writeNormalized_ = function(opt_fieldName,
+    opt_scope) {
+  var messages = this.getMessages_();
+  var done = {};
+
+  for (var i = 0, len = messages.length; i < len; i++) {
+    var fieldName = messages[i].field;
+    if (!fieldName || done[fieldName] ||
+        (opt_fieldName && fieldName !== opt_fieldName) ||
+        (opt_scope && !this.inScope_(fieldName, opt_scope))) {
+      continue;
+    }
+    done[fieldName] = true;
+    var field = this.formGet_(fieldName);
+    if (!field ||
+        !/^(?:email|password|search|tel|text|textarea|url)$/.test(field.type) ||
+        this.isDisabled_(field) || this.isReadOnly_(field)) {
+      continue;
+    }
+    var value = this.fieldValue_(fieldName);
+    if (value !== field.value) {
+      field.value = value;
+    }
+  }
+};
+
+/**
+ * Rates the strength of the password in a field, checking it against the
+ * policy of the field's password rule, if it has one. See
+ * forms.Rules.prototype.passwordStrength.
+ * @this forms.Validation
+ * @param {string} fieldName Name of the password field.
+ * @return {Object} The "score" from 0 to 4, the "entropy" in bits, and the
+ *     policy requirements the password fails as "problems".
+ */
+forms.Validation.prototype.passwordStrength = function(fieldName) {
+  this.assertActive_();
+  var messages = this.getMessages_();
+  var args = [];
+
+  for (var i = 0, len = messages.length; i < len; i++) {
+    for (var j = 0; messages[i].field === fieldName &&
+        j < messages[i].rules.length; j++) {
+      if (messages[i].rules[j]['method'] === 'password') {
+        args = messages[i].rules[j]['args'];
+      }
+    }
+  }
+  return this.rules_.passwordStrength(
+      String(this.fieldValue_(fieldName) || ''), args, this.form_);
+};
+
+/**
+ * Updates a strength meter as the user types in a password field. A meter
+ * or progress element gets the score, from 0 to 4, as its value. Any other
+ * element gets it in its data-score attribute. Either also gets the label
+ * of the score, from strengthLabels, in its data-strength attribute, which
+ * CSS can style.
+ * @this forms.Validation
+ * @param {string} fieldName Name of the password field.
+ * @param {Element} meter Element showing the strength.
+ */
+forms.Validation.prototype.bindStrengthMeter = function(fieldName, meter) {
+  this.assertActive_();
+  var update = function(obj) {
+    return function() {
+      var score = obj.passwordStrength(fieldName)['score'];
+      var tagName = meter.tagName.toLowerCase();
+      if (tagName === 'meter' || tagName === 'progress') {
+        meter.max = 4;
+        meter.value = score;
+      } else {
+        meter.setAttribute('data-score', String(score));
+      }
+      meter.setAttribute('data-strength', obj.strengthLabels[score]);
+    };
+  }(this);
+  var field = this.formGet_(fieldName);
+
+  this.listen_(field, 'input', update);
+  this.listen_(field, 'change', update);
+  update();
+};
+
+/**
+ * Asynchronous version of isValid, for forms that use asynchronous
+ * validators. Validators that have not settled are treated as passing by
+ * isValid, so this waits for them and then validates the form again.
+ * @this forms.Validation
+ * @param {HTMLFormElement} form HTML form element to be validated.
+ * @param {Element|string=} opt_scope Element or validation group to limit
+ *     validation to. See isValid.
+ * @return {Promise} Resolves to true if the form is valid.
+ */
+forms.Validation.prototype.isValidAsync = function(form, opt_scope) {
+  this.assertActive_();
+  this.form_ = form || this.form_;
+  return this.settle_(function() {
+    return this.isValid(null, opt_scope);
+  });
+};
+
+/**
+ * Asynchronous version of validateField.
+ * @this forms.Validation
+ * @param {string} fieldName Name of the form field.
+ * @return {Promise} Resolves to true if the field is valid.
+ */
+forms.Validation.prototype.validateFieldAsync = function(fieldName) {
+  this.assertActive_();
+  return this.settle_(function() {
+    return this.validateField(fieldName);
+  });
+};
+
+/**
+ * Registers a validator that asks a server whether a value is valid. The
+ * value is sent as the "value" query parameter, followed by one "args"
+ * parameter per class name arg. The server should respond with the JSON
+ * true or false, or an object with a boolean "valid" property. Requests
+ * that fail are treated as invalid.
+ * @this forms.Validation
+ * @param {string} name Method name used in class names, without prefix.
+ * @param {string} url URL of the server endpoint.
+ */
+forms.Validation.prototype.addRemoteValidator = function(name, url) {
+  var obj = this;
+  this.addValidator(name, function(value, args) {
+    var fetchFn = obj.fetch || window.fetch;
+    var controller = window.AbortController ? new AbortController() : null;
+    var query = url + (url.indexOf('?') < 0 ? '?' : '&') + 'value=' +
+        encodeURIComponent(value);
+
+    for (var i = 0, len = args.length; i < len; i++) {
+      query += '&args=' + encodeURIComponent(args[i]);
+    }
+    var promise = fetchFn(query, {
+      'credentials': 'same-origin',
+      'signal': controller ? controller.signal : undefined
+    }).then(function(response) {
+      return response.ok ? response.json() : false;
+    }).then(function(data) {
+      return data === true || (!!data && data['valid'] === true);
+    });
+    promise.abort = function() {
+      if (controller) {
+        controller.abort();
+      }
+    };
+    return promise;
+  });
+};
+
+/**
+ * Replaces the list of known top-level domains, used by the tld option of
+ * the email and url rules. See forms.Rules.prototype.setTopLevelDomains.
+ * @this forms.Validation
+ * @param {string|Array} list Top-level domains, as the text of the IANA
+ *     tlds-alpha-by-domain.txt file or an array.
+ * @return {number} Number of top-level domains in the list.
+ */
+forms.Validation.prototype.setTopLevelDomains = function(list) {
+  return this.rules_.setTopLevelDomains(list);
+};
+
+/**
+ * Loads the list of known top-level domains from a file in the format of
+ * http://data.iana.org/TLD/tlds-alpha-by-domain.txt, which should be served
+ * from the same origin or with CORS headers. The current list is kept if the
+ * request fails.
+ * @this forms.Validation
+ * @param {string} url URL of the file.
+ * @return {Promise} Resolves to the number of top-level domains loaded.
+ */
+forms.Validation.prototype.loadTopLevelDomains = function(url) {
+  var fetchFn = this.fetch || window.fetch;
+  var obj = this;
+  return fetchFn(url, {'credentials': 'same-origin'}).then(
+      function(response) {
+        if (!response.ok) {
+          throw new Error('Could not load top-level domains: ' +
+                          response.status);
+        }
+        return response.text();
+      }).then(function(text) {
+        return obj.setTopLevelDomains(text);
+      });
+};
+
+/**
+ * Runs a validation pass, then waits for any asynchronous validators that
+ * have not settled and runs it again, until none are outstanding.
+ * @private
+ * @this forms.Validation
+ * @param {function(): boolean} check Validation pass to run.
+ * @return {Promise} Resolves to the result of the final pass.
+ */
+forms.Validation.prototype.settle_ = function(check) {
+  var valid = check.call(this);
+  if (!this.pending_.length) {
+    return Promise.resolve(valid);
+  }
+  var obj = this;
+  return Promise.all(this.pending_).then(function() {
+    return obj.settle_(check);
+  });
+};
+
+/**
+ * Tests a value with a validator or validation expression. Results of
+ * asynchronous validators are kept, and the validator is only called again
+ * once the value has changed. Any request still running for the old value is
+ * then aborted and its result discarded, so a slow response can never
+ * override a newer value.
+ * @private
+ * @this forms.Validation
+ * @param {string} method Name of the validator.
+ * @param {Array} args Rule args.
+ * @param {string|Array} value Value being validated.
+ * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} field HTML
+ *     form field being validated.
+ * @return {?boolean} The result, or null while it is pending.
+ */
+forms.Validation.prototype.runValidator_ = function(method, args, value,
+    field) {
+  var key = (field.name || field.id || field[0].name) + ' ' + method + '(' +
+      args.join(',') + ')';
+  var entry = this.asyncResults_[key];
+  /**
+   * Fields with several values have a new array on every pass.
+   */
+  var cacheValue = (value instanceof Array) ? value.join('\n') : value;
+
+  if (!entry || entry.value !== cacheValue) {
+    if (entry && entry.valid === null && entry.promise.abort) {
+      entry.promise.abort();
+    }
+    var result = this.rules_.test(method, value, args, field, this.form_);
+    if (!this.rules_.isThenable(result)) {
+      delete this.asyncResults_[key];
+      return !!result;
+    }
+    entry = {value: cacheValue, valid: null, promise: result};
+    entry.settled = result.then(function(valid) {
+      entry.valid = !!valid;
+    }, function() {
+      entry.valid = false;
+    });
+    this.asyncResults_[key] = entry;
+  }
+  if (entry.valid === null) {
+    this.pending_.push(entry.settled);
+  }
+  return entry.valid;
+};
+
+/**
+ * Handles form submission. If asynchronous validators are still pending,
+ * submission is blocked until they settle, and the form is then submitted
+ * if it is valid. A valid form fires validsubmit first, and is not
+ * submitted if that is canceled, e.g. to send it with XMLHttpRequest.
+ * The button used to submit can limit validation to a validation group with
+ * its submit group attribute, e.g. data-validate="draft", or skip it with
+ * formnovalidate. Normalized values are written back first if
+ * writeNormalized is set. Once the form is submitted, its values are
+ * pristine again; see submitValid_.
+ * @private
+ * @this forms.Validation
+ * @param {Element=} opt_submitter Button used to submit the form.
+ * @return {boolean} True to let the form submit.
  */
-forms.Validation.prototype.prefix = 'v-';
+forms.Validation.prototype.submitHandler_ = function(opt_submitter) {
+  var scope = opt_submitter ?
+      opt_submitter.getAttribute(this.submitGroupAttribute) || undefined :
+      undefined;
+  if (this.writeNormalized) {
+    this.writeNormalized_(undefined, scope);
+  }
+  if (opt_submitter && opt_submitter.hasAttribute &&
+      opt_submitter.hasAttribute('formnovalidate')) {
+    return this.submitValid_(null);
+  }
+  var valid = this.isValid(null, scope);
+  if (!valid) {
+    return false;
+  }
+  if (!this.pending_.length) {
+    return this.submitValid_(scope || null);
+  }
+  var obj = this;
+  var form = this.form_;
+  this.isValidAsync(null, scope).then(function(valid) {
+    if (valid && obj.form_ === form) {
+      obj.resubmit_(scope || null, opt_submitter);
+    }
+  });
+  return false;
+};
+
 /**
- * Suffix used for error message IDs.
- * @type {string}
+ * Submits the form once its asynchronous validators have settled. Where
+ * requestSubmit is supported, the form is submitted again with the same
+ * button, so its name and value are sent, and the new submit event fires
+ * validsubmit. Otherwise validsubmit is fired here, and the native submit
+ * method, which a field named submit cannot shadow, submits the form with
+ * a hidden copy of the button's name and value.
+ * @private
+ * @this forms.Validation
+ * @param {?string} scope Validation group of the submit button, if any.
+ * @param {Element=} opt_submitter Button used to submit the form.
  */
-forms.Validation.prototype.suffix = '-err';
+forms.Validation.prototype.resubmit_ = function(scope, opt_submitter) {
+  var form = this.form_;
+  var doc = form.ownerDocument || document;
+  var view = doc.defaultView || window;
+  var proto = view.HTMLFormElement ? view.HTMLFormElement.prototype : form;
+  var submitter = (opt_submitter && opt_submitter.form === form) ?
+      opt_submitter : null;
+
+  if (proto.requestSubmit) {
+    proto.requestSubmit.apply(form, submitter ? [submitter] : []);
+    return;
+  }
+  if (!this.submitValid_(scope)) {
+    return;
+  }
+  var input = null;
+  if (submitter && submitter.name) {
+    input = doc.createElement('input');
+    input.type = 'hidden';
+    input.name = submitter.name;
+    input.value = submitter.value;
+    form.appendChild(input);
+  }
+  proto.submit.call(form);
+  if (input) {
+    form.removeChild(input);
+  }
+};
+
 /**
- * Filetypes and related extensions used in file upload validation.
- * @type {Object}
+ * Fires validsubmit for a form that is about to be submitted. Unless it is
+ * canceled, the values of the form are then pristine again, so the unsaved
+ * changes warning does not stop the submission.
+ * @private
+ * @this forms.Validation
+ * @param {?string} scope Validation group of the submit button, if any.
+ * @return {boolean} True if the form is submitted.
  */
-forms.Validation.prototype.fileTypes = {};
+forms.Validation.prototype.submitValid_ = function(scope) {
+  if (!this.dispatch_(this.form_, 'validsubmit', {'scope': scope})) {
+    return false;
+  }
+  this.setPristine();
+  return true;
+};
+
 /**
- * Form validation expressions for complex strings.
- * @type {Object}
+ * Fires a DOM event. Events fired on the form are:
+ * beforevalidate, before isValid or validateField. Its detail has the
+ *     "field" being validated, or null for the whole form. Canceling it
+ *     skips validation, which then fails, so the form is not submitted.
+ * fieldinvalid and fieldvalid, on each field that was validated, or the
+ *     first of a group. Its detail has the "field" name, the failed "rule"
+ *     and its "errorId". Handlers can change the result by setting the rule,
+ *     to an object with a method and args to fail the field, or to null to
+ *     pass it. Canceling fieldinvalid passes the field too.
+ * aftervalidate, with the validation "report" as detail. Canceling it makes
+ *     validation fail.
+ * validsubmit, when a valid form is about to be submitted. Canceling it
+ *     stops the submission.
+ * ruleserror, on a field or error message element whose rules attribute
+ *     cannot be parsed, with the SyntaxError as "error" in its detail. The
+ *     element is skipped, so that the other fields are still validated.
+ * All of them bubble, so they can be listened to on the form.
+ * @private
+ * @this forms.Validation
+ * @param {Element} target Element to fire the event on.
+ * @param {string} type Event type.
+ * @param {Object} detail Event detail.
+ * @return {boolean} False if a handler canceled the event.
  */
-forms.Validation.prototype.validationExp = {};
+forms.Validation.prototype.dispatch_ = function(target, type, detail) {
+  var doc = target.ownerDocument || document;
+  var view = doc.defaultView || window;
+  var event;
+
+  if (typeof view.CustomEvent === 'function') {
+    event = new view.CustomEvent(type, {'bubbles': true, 'cancelable': true,
+                                        'detail': detail});
+  } else if (doc.createEvent) {
+    event = doc.createEvent('CustomEvent');
+    event.initCustomEvent(type, true, true, detail);
+  } else {
+    return true;
+  }
+  return target.dispatchEvent(event);
+};
 
 /**
- * Function to check if a given form passes all defined validation methods.
+ * Fires fieldinvalid or fieldvalid for each field that was validated, and
+ * applies any change handlers make to the results. See dispatch_.
+ * @private
  * @this forms.Validation
- * @param {HTMLFormElement} form HTML form element to be validated.
- * @return {boolean} Boolean.
+ * @param {Array} results Results returned by checkErrors_, which are
+ *     updated.
  */
-forms.Validation.prototype.isValid = function(form) {
-  this.form_ = form || this.form_;
-  this.hideAllErrors();
+forms.Validation.prototype.dispatchFieldEvents_ = function(results) {
+  var fields = {};
+  var order = [];
 
-  var valid = true;
-  var firstErrorId = '';
-  var lastFailedField = '';
-  var errorMsgs = this.getElementsByClass_([this.errorClass, this.prefix],
-      this.form_, this.errorTag);
+  for (var i = 0, len = results.length; i < len; i++) {
+    var fieldName = results[i].field;
+    if (!fields[fieldName]) {
+      fields[fieldName] = {results: [], failed: null};
+      order.push(fieldName);
+    }
+    fields[fieldName].results.push(results[i]);
+    if (results[i].rule && !fields[fieldName].failed) {
+      fields[fieldName].failed = results[i];
+    }
+  }
 
-  // Loop through all error message tags, and check matching form tag.
-  for (var i = 0, len = errorMsgs.length; i < len; i++) {
-    var display = false;
-    var errorMsg = errorMsgs[i];
-    var formElementId = this.getFieldName_(errorMsg.id, errorMsg.className);
-
-    if (formElementId && formElementId != lastFailedField) {
-      if (!this.check_(formElementId, errorMsg.className)) {
-        firstErrorId = valid ? errorMsg.id: firstErrorId;
-        valid = false;
-        display = true;
-        lastFailedField = formElementId;
+  for (var i = 0, len = order.length; i < len; i++) {
+    var entry = fields[order[i]];
+    var field = this.formGet_(order[i]);
+    if (!field) {
+      continue;
+    }
+    var detail = {
+      'field': order[i],
+      'rule': entry.failed ? entry.failed.rule : null,
+      'errorId': entry.failed ? entry.failed.errorId : null
+    };
+    if (!this.dispatch_((typeof field.type === 'undefined') ? field[0] :
+        field, entry.failed ? 'fieldinvalid' : 'fieldvalid', detail)) {
+      detail['rule'] = entry.failed ? null : detail['rule'];
+    }
+    if (!detail['rule']) {
+      for (var j = 0; j < entry.results.length; j++) {
+        entry.results[j].rule = null;
       }
-      this.display_(errorMsg, display);
+    } else {
+      (entry.failed || entry.results[0]).rule = detail['rule'];
     }
   }
+};
 
-  if (!valid) {
-    /**
-     * If set, go to the defined.anchor, otherwise to the first error.
-     */
-    if (this.jump) {
-      window.location = this.anchor.length ? this.anchor : '#' +
-          firstErrorId;
+/**
+ * Hides the error messages and the error summary, and clears the custom
+ * validity and ARIA attributes that setCustomValidity_ and setAria_ set on
+ * the fields, so that the form shows no errors and the browser no longer
+ * blocks its submission.
+ * @private
+ * @this forms.Validation
+ */
+forms.Validation.prototype.clearErrors_ = function() {
+  var messages = this.getMessages_();
+
+  for (var i = 0, len = messages.length; i < len; i++) {
+    var message = messages[i];
+    if (message.element) {
+      this.display_(message.element, false);
     }
-    /**
-     * Change focus to the relevant field.
-     */
-    this.focus_(this.formGet_(this.getFieldName_(firstErrorId)));
+    var field = message.field && this.formGet_(message.field);
+    if (!field) {
+      continue;
+    }
+    var fields = (typeof field.type === 'undefined') ? field : [field];
+    var errorId = message.errorId ||
+        (message.element ? message.element.id : '');
+    for (var j = 0; j < fields.length; j++) {
+      if (fields[j].setCustomValidity) {
+        fields[j].setCustomValidity('');
+      }
+      fields[j].removeAttribute('aria-invalid');
+      var describedBy = (' ' + (fields[j].getAttribute('aria-describedby') ||
+          '') + ' ').replace(' ' + errorId + ' ', ' ').replace(/^\s+|\s+$/g,
+          '');
+      if (describedBy) {
+        fields[j].setAttribute('aria-describedby', describedBy);
+      } else {
+        fields[j].removeAttribute('aria-describedby');
+      }
+    }
+  }
+  if (this.summaryContainer) {
+    this.summaryContainer.innerHTML = '';
+    this.summaryContainer.style.display = 'none';
   }
-  return valid;
+  this.summaryErrors_ = {};
 };
 
 /**
- * Hides all error messages.
+ * Detaches everything the validator attached to the page: event listeners,
+ * including the submit handler and the unsaved changes warning, timers,
+ * pending asynchronous validators, state classes, and the elements it
+ * added, such as generated messages, the error summary and the live region.
+ * The errors it shows are hidden, and the fields are left valid and without
+ * the ARIA attributes it set, see clearErrors_. The form can then be
+ * removed, or a new validator created. Validating with the destroyed
+ * validator throws an error.
  * @this forms.Validation
  */
-forms.Validation.prototype.hideAllErrors = function() {
-  var elements = this.getElementsByClass_([this.errorClass, this.prefix],
-      this.form_, this.errorTag);
+forms.Validation.prototype.destroy = function() {
+  if (this.form_) {
+    this.clearErrors_();
+  }
+  if (this.observer_) {
+    this.observer_.disconnect();
+    this.observer_ = null;
+  }
+  this.messages_ = null;
+  this.normalizers_ = null;
+  this.disableLive();
+  this.disableStateClasses();
+  while (this.listeners_.length) {
+    this.unlisten_(this.listeners_[0]);
+  }
+  this.validityListener_ = null;
+  this.unloadListener_ = null;
+  this.touched_ = {};
+  this.pristine_ = [];
+  window.clearTimeout(this.announceTimer_);
+  this.announceTimer_ = null;
 
-  for (var i = 0, len = elements.length; i < len; i++) {
-    this.display_(elements[i], false);
+  for (var key in this.asyncResults_) {
+    var entry = this.asyncResults_[key];
+    if (entry.valid === null && entry.promise.abort) {
+      entry.promise.abort();
+    }
+  }
+  this.asyncResults_ = {};
+  this.pending_ = [];
+
+  for (var i = 0, len = this.created_.length; i < len; i++) {
+    var element = this.created_[i];
+    if (element.parentNode) {
+      element.parentNode.removeChild(element);
+    }
+    if (element === this.summaryContainer) {
+      this.summaryContainer = null;
+    }
+    if (element === this.liveRegion) {
+      this.liveRegion = null;
+    }
+  }
+  this.created_ = [];
+  this.generated_ = {};
+  this.form_ = null;
+  this.destroyed_ = true;
+};
+
+/**
+ * Throws if the validator has been destroyed, since it no longer has a form
+ * to validate. Create a new validator instead.
+ * @private
+ * @this forms.Validation
+ * @throws {Error} If destroy has been called.
+ */
+forms.Validation.prototype.assertActive_ = function() {
+  if (this.destroyed_) {
+    throw new Error('forms.Validation: the validator has been destroyed.');
   }
 };
 
@@ -313,109 +2846,32 @@ forms.Validation.prototype.splitClassName_ = function(
   className = (className.indexOf(this.prefix) >= 0) ?
       className.substring(this.prefix.length): className;
 
-  var classArgs = className.split('-');
-  var args = {'method': '', 'args': []};
-  /**
-   * Loop the classArgs array and remove any empty elements.
-   */
-  var cleanArgs = [];
-  for (var i = 0, len = classArgs.length; i < len; i++) {
-    if (classArgs[i].length) {
-      cleanArgs.push(classArgs[i]);
-    }
-  }
-
-  switch (cleanArgs.length) {
-    case 0:
-      args['method'] = '';
-      break;
-    case 1:
-      args['method'] = cleanArgs[0];
-      break;
-    default:
-      args['method'] = cleanArgs[0];
-      for (var i = 1, len = cleanArgs.length; i < len; i++) {
-        args['args'].push(cleanArgs[i]);
-      }
-      break;
-  }
-  return args;
+  return this.rules_.parseRule(className);
 };
 
 /**
- * Class names, without prefix
+ * Checks a value against rules, in order, such as those parsed from the
+ * class names, without prefix
  * len-0-10
  * email
  * url
  * @private
  * @this forms.Validation
- * @param {string} className Class name used to define validation method.
- * @param {string} value Input field value to be validated.
+ * @param {Array} rules Rules, each with a method and args.
+ * @param {string|Array} value Input field value to be validated.
+ * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} field HTML
+ *     form field being validated.
  * @return {boolean} Boolean.
  */
 forms.Validation.prototype.validateHandler_ = function(
-    className, value) {
-  /**
-   * {Array} classArr List of class names from the element.
-   */
-  var classArr = className.split(' ');
-  var valid;
-
-  for (var i = 0, className; className = classArr[i]; i++) {
-    valid = true;
-    if (className.substring(0, this.prefix.length) === this.prefix) {
-      var classNameParts = this.splitClassName_(className);
-
-      switch (classNameParts['method']) {
-        case 'email':
-          valid = this.isValidEmail_(value);
-          break;
-        case 'file':
-        case 'upload':
-          // Check the last character to see if it is a double-quote
-          if (value.charAt(value.length - 1) === '"') {
-            value = value.substring(0, value.length - 2)
-          }
-          valid = this.isValidFileExtension_(value, classNameParts['args'][0]);
-          break;
-        case 'len':
-          if (classNameParts['args'].length === 1) {
-            classNameParts['args'].push(null);
-          }
-          valid = this.isValidLength_(value, classNameParts['args'][0],
-              classNameParts['args'][1]);
-          break;
-        case 'match':
-        case 'eq':
-        case 'equal':
-          valid = this.isEqual_(value,
-                                this.formGet_(classNameParts['args'][0]).value);
-          break;
-        /**
-         * Added to help with backward-compatibility/migration.
-         * change class="error" to class="v-error" and use .v-error in your
-         * style sheet.
-         */
-        case 'required':
-        case 'error':
-        case this.errorClass:
-          valid = this.hasValue_(value);
-          break;
-        /**
-         * Don't validate against the multiClass name.
-         */
-        case this.multiClass:
-          break;
-        /**
-         * The default case covers any custom validation expressions that may
-         * have been defined in the constructor, or by the developer.
-         */
-        default:
-          valid = this.isValidRegExp_(value, classNameParts['method']);
-          break;
-      }
-    }
-    if (!valid) {
+    rules, value, field) {
+  for (var i = 0, len = rules.length; i < len; i++) {
+    /**
+     * Asynchronous validators that have not settled yet pass for now.
+     */
+    if (this.runValidator_(rules[i]['method'], rules[i]['args'], value,
+        field) === false) {
+      this.failedRule_ = rules[i];
       return false;
     }
   }
@@ -423,127 +2879,46 @@ forms.Validation.prototype.validateHandler_ = function(
 };
 
 /**
- * Checks if two values are equal.
- * @private
- * @param {string} firstValue First value to compare.
- * @param {string} secondValue Second value to compare.
- * @return {boolean} Boolean.
- */
-forms.Validation.prototype.isEqual_ = function(
-    firstValue, secondValue) {
-  return firstValue === secondValue;
-};
-
-/**
- * Check email address for validity.  This is a complex procedure because the
- * Regular Expression engine in JavaScript doesn't have the ability to do
- * negative lookbehind assertions, which are required for a single expression
- * to properly validate the local-part of an email address.
+ * Determines the form field type, then calls the appropriate check function.
  * @private
  * @this forms.Validation
- * @param {string} value Email address to validate.
+ * @param {string} fieldName Name of the form field.
+ * @param {Array} rules Rules of the error message being checked.
  * @return {boolean} Boolean.
  */
-forms.Validation.prototype.isValidEmail_ = function(
-    value) {
-    /**
-     * Split by last @, if any.
-     * send domain part to domain regex
-     * check local part
-     */
-      if (value.indexOf('@') === -1) {
-        return false;
-      }
-      var sep = value.lastIndexOf('@');
+forms.Validation.prototype.check_ = function(
+    fieldName, rules) {
+  var type = this.formGet_(fieldName).type;
 
-      /**
-       * Check the domain, using the domain regex
-       */
-      if (!this.isValidRegExp_(value.substring(sep + 1), 'domain')) {
+  /**
+   * Skip the message if its conditions are not met, then leave them out,
+   * along with normalize rules, which fieldValue_ applies, unless they name
+   * an unknown normalizer.
+   */
+  if (!this.rules_.testConditions(rules, this.form_)) {
+    return true;
+  }
+  var validators = [];
+  var normalizers = 0;
+  for (var i = 0, len = rules.length; i < len; i++) {
+    if (this.rules_.isNormalizer(rules[i]['method'])) {
+      if (!this.rules_.checkNormalizers(rules[i])) {
+        this.failedRule_ = rules[i];
         return false;
       }
-      var local = value.substring(0, sep);
-
-      /**
-       * Check the local part
-       */
-      return this.isValidRegExp_(local, 'email-local');
-    };
-
-/**
- * Check if the length of a string is between the two boundaries.
- * min must be less than or equal to max.
- * @private
- * @param {string} value Value being tested.
- * @param {number} min Minmum string length.
- * @param {number} max Maximum string length.
- * @return {boolean} Boolean.
- */
-forms.Validation.prototype
-    .isValidLength_ = function(value, min, max) {
-  if (!max) {
-    return value.length >= min;
-  }
-
-  return min <= max && value.length >= min && value.length <= max;
-};
-
-/**
- * Check the value against the expression.
- * @private
- * @this forms.Validation
- * @param {string} value Value to test against expression.
- * @param {string} expression Expression index key to test on value.
- * @return {boolean} Boolean.
- */
-forms.Validation.prototype.isValidRegExp_ = function(
-    value, expression) {
-  return this.validationExp[expression].test(value);
-};
-
-/**
- * Check for file extension validity.
- * @private
- * @this forms.Validation
- * @param {string} value Filename to check extension of.
- * @param {string} filetype Filetype index key to compare against filename.
- * @return {boolean} Boolean.
- */
-forms.Validation.prototype
-    .isValidFileExtension_ = function(value, filetype) {
-  value = this.getFileExtension_(value).toLowerCase();
-  filetype = this.fileTypes[filetype];
-
-  for (var i = 0, len = filetype.length; i < len; i++) {
-    if (filetype[i] === value) {
-      return true;
+      normalizers++;
+    } else if (!this.rules_.isCondition(rules[i]['method'])) {
+      validators.push(rules[i]);
     }
   }
-  return false;
-};
-
-/**
- * Get the file extension from a file name.
- * @private
- * @param {string} value Filename.
- * @return {string} File extension.
- */
-forms.Validation.prototype.getFileExtension_ = function(
-    value) {
-  return value.substring(value.lastIndexOf('.') + 1);
-};
-
-/**
- * Determines the form field type, then calls the appropriate check function.
- * @private
- * @this forms.Validation
- * @param {string} fieldName Name of the form field.
- * @param {string} className Class name used to determine validation type.
- * @return {boolean} Boolean.
- */
-forms.Validation.prototype.check_ = function(
-    fieldName, className) {
-  var type = this.formGet_(fieldName).type;
+  /**
+   * A message with only normalize rules has nothing to check, so it is not
+   * treated as required like a message without rules.
+   */
+  if (normalizers && !validators.length) {
+    return true;
+  }
+  rules = validators;
 
   /**
    * This deals with checkbox[] and radio[] arrays.
@@ -553,19 +2928,27 @@ forms.Validation.prototype.check_ = function(
 
   switch (type) {
     case 'checkbox':
-      return this.checkCheckbox_(fieldName);
+      return this.checkCheckbox_(fieldName, rules);
     case 'text':
     case 'password':
-      return this.checkText_(fieldName, className);
+    case 'number':
+    case 'range':
+    case 'date':
+    case 'datetime-local':
+    case 'email':
+    case 'search':
+    case 'tel':
+    case 'url':
+      return this.checkText_(fieldName, rules);
     case 'select-one':
     case 'select-multiple':
-      return this.checkSelect_(fieldName);
+      return this.checkSelect_(fieldName, rules);
     case 'textarea':
-      return this.checkTextArea_(fieldName);
+      return this.checkTextArea_(fieldName, rules);
     case 'file':
-      return this.checkFileUpload_(fieldName, className);
+      return this.checkFileUpload_(fieldName, rules);
     case 'radio':
-      return this.checkRadio_(fieldName);
+      return this.checkRadio_(fieldName, rules);
     case 'button':
     case 'hidden':
     case 'image':
@@ -598,53 +2981,41 @@ forms.Validation.prototype.isReadOnly_ = function(field) {
   return (field.readonly === 'readonly' || field.readonly);
 };
 
-/**
- * Determines if a field value is blank.
- * @private
- * @param {string} value The value of a form field.
- * @return {boolean} Boolean.
- */
-forms.Validation.prototype.hasValue_ = function(value) {
-  return !!value.length;
-};
-
 /**
  * Determines if a file upload field is blank.
  * @private
  * @this forms.Validation
  * @param {string} fieldName Name of the file upload field.
- * @param {string} className Name of the classes.
+ * @param {Array} rules Rules to check.
  * @return {boolean} Boolean.
  */
 forms.Validation.prototype.checkFileUpload_ = function(
-    fieldName, className) {
+    fieldName, rules) {
   var field = this.formGet_(fieldName);
 
   return this.isDisabled_(field) ||
-      this.validateHandler_(className, field.value);
+      this.validateHandler_(rules, field.value, field);
 };
 
 /**
- * Determines if a checkbox is checked or not.
+ * Determines if a checkbox is checked or not. Checkbox arrays have an array
+ * of the checked values, so rules like count-2-4 can limit how many are
+ * checked, and other rules apply to each checked value.
  * @private
  * @this forms.Validation
  * @param {string} fieldName Name of the checkbox field.
+ * @param {Array} rules Rules to check. Defaults to required.
  * @return {boolean} Boolean.
  */
 forms.Validation.prototype.checkCheckbox_ = function(
-    fieldName) {
+    fieldName, rules) {
   var field = this.formGet_(fieldName);
 
-  if (field.length) {
-    for (var i = 0, len = field.length; i < len; i++) {
-      if (!this.isDisabled_(field[i]) && field[i].checked) {
-        return true;
-      }
-    }
-    return false;
-  } else {
-    return this.isDisabled_(field) || field.checked;
+  if (!field.length && this.isDisabled_(field)) {
+    return true;
   }
+  return this.validateHandler_(this.defaultRules_(rules),
+      this.fieldValue_(fieldName), field);
 };
 
 /**
@@ -652,18 +3023,13 @@ forms.Validation.prototype.checkCheckbox_ = function(
  * @private
  * @this forms.Validation
  * @param {string} fieldName Name of the radio group.
+ * @param {Array} rules Rules to check. Defaults to required.
  * @return {boolean} Boolean.
  */
 forms.Validation.prototype.checkRadio_ = function(
-    fieldName) {
-  var radioGroup = this.formGet_(fieldName);
-
-  for (var i = 0; i < radioGroup.length; i++) {
-    if (radioGroup[i].checked) {
-      return true;
-    }
-  }
-  return false;
+    fieldName, rules) {
+  return this.validateHandler_(this.defaultRules_(rules),
+      this.fieldValue_(fieldName), this.formGet_(fieldName));
 };
 
 /**
@@ -671,33 +3037,36 @@ forms.Validation.prototype.checkRadio_ = function(
  * @private
  * @this forms.Validation
  * @param {string} fieldName Name of the text input field.
- * @param {string} className Name of the classes.
+ * @param {Array} rules Rules to check.
  * @return {boolean} Boolean.
  */
 forms.Validation.prototype.checkText_ = function(
-    fieldName, className) {
+    fieldName, rules) {
   var field = this.formGet_(fieldName);
 
   return (this.isDisabled_(field) || this.isReadOnly_(field)) ||
-      this.validateHandler_(className, field.value);
+      this.validateHandler_(rules, this.fieldValue_(fieldName), field);
 };
 
 /**
  * Determines if the user has chosen a selection from a dropdown.
  * The first and default selected option of the dropdown should use
  * value="" in order for this to work. Typically, the option will display
- * "Please select" to the user.
+ * "Please select" to the user. Multiple selects have an array of the
+ * selected values, so rules like count-2-4 can limit how many are selected,
+ * and other rules apply to each selected value.
  * @private
  * @this forms.Validation
  * @param {string} fieldName Name of the dropdown field.
+ * @param {Array} rules Rules to check. Defaults to required.
  * @return {boolean} Boolean.
  */
 forms.Validation.prototype.checkSelect_ = function(
-    fieldName) {
+    fieldName, rules) {
   var field = this.formGet_(fieldName);
 
-  return this.isDisabled_(field) || this.hasValue_(
-      field.options[field.selectedIndex].value);
+  return this.isDisabled_(field) || this.validateHandler_(
+      this.defaultRules_(rules), this.fieldValue_(fieldName), field);
 };
 
 /**
@@ -705,14 +3074,27 @@ forms.Validation.prototype.checkSelect_ = function(
  * @private
  * @this forms.Validation
  * @param {string} fieldName Name of the textarea.
+ * @param {Array} rules Rules to check. Defaults to required.
  * @return {boolean} Boolean.
  */
 forms.Validation.prototype.checkTextArea_ = function(
-    fieldName) {
+    fieldName, rules) {
   var field = this.formGet_(fieldName);
 
-  return (this.isDisabled_(field) || this.isReadOnly_(field)) || this.hasValue_(
-      field.value);
+  return (this.isDisabled_(field) || this.isReadOnly_(field)) ||
+      this.validateHandler_(this.defaultRules_(rules),
+                            this.fieldValue_(fieldName), field);
+};
+
+/**
+ * Checkboxes, radio groups, dropdowns and textareas are required when their
+ * error message has no rules, e.g. class="error".
+ * @private
+ * @param {Array} rules Rules of an error message.
+ * @return {Array} The rules, or a required rule if there are none.
+ */
+forms.Validation.prototype.defaultRules_ = function(rules) {
+  return rules.length ? rules : [{'method': 'required', 'args': []}];
 };
 
 /**
@@ -732,6 +3114,66 @@ forms.Validation.prototype.formGet_ = function(fieldName) {
   return null;
 };
 
+/**
+ * Gets the value of a form field as it would be submitted, normalized by the
+ * normalize rules of the field. Checkboxes and radio buttons only have a
+ * value when checked. Checkbox groups and multiple selects have an array of
+ * values.
+ * @private
+ * @this forms.Validation
+ * @param {string} fieldName Name of the HTML form field.
+ * @return {string|Array|undefined} Value, or undefined if there is no such
+ *     field.
+ */
+forms.Validation.prototype.fieldValue_ = function(fieldName) {
+  var field = this.formGet_(fieldName);
+
+  if (!field) {
+    return undefined;
+  }
+  return this.rules_.normalize(this.rawValue_(field),
+                               this.normalizeRules_(fieldName));
+};
+
+/**
+ * Gets the value of a form field, or group of fields, as it would be
+ * submitted. See fieldValue_.
+ * @private
+ * @this forms.Validation
+ * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement|NodeList}
+ *     field HTML form field, or fields sharing a name.
+ * @return {string|Array} Value.
+ */
+forms.Validation.prototype.rawValue_ = function(field) {
+  var values = [];
+
+  /**
+   * This deals with checkbox[] and radio[] arrays.
+   */
+  if (typeof field.type === 'undefined') {
+    for (var i = 0, len = field.length; i < len; i++) {
+      if (field[i].checked && !this.isDisabled_(field[i])) {
+        values.push(field[i].value);
+      }
+    }
+    return (field[0].type === 'radio') ? values[0] || '' : values;
+  }
+  switch (field.type) {
+    case 'checkbox':
+    case 'radio':
+      return field.checked ? field.value : '';
+    case 'select-multiple':
+      for (var i = 0, len = field.options.length; i < len; i++) {
+        if (field.options[i].selected) {
+          values.push(field.options[i].value);
+        }
+      }
+      return values;
+    default:
+      return field.value;
+  }
+};
+
 /**
  * Changes the display type of an element.
  * @private
@@ -762,7 +3204,8 @@ forms.Validation.prototype.getElementsByClass_ = function(
 
   var matchedElements = [];
   var children = parentEl.getElementsByTagName(tagName);
-  var expr = new RegExp('^[a-zA-Z0-9 -]*' + classes + '[a-zA-Z0-9 -]*$');
+  var expr = new RegExp('^[a-zA-Z0-9._/ -]*' + classes +
+      '[a-zA-Z0-9._/ -]*$');
 
   for (var i = 0, len = children.length; i < len; i++) {
     if (expr.test(children[i].className)) {
@@ -772,28 +3215,6 @@ forms.Validation.prototype.getElementsByClass_ = function(
   return matchedElements;
 };
 
-/**
- * Exhaustive list of valid top-level domains.
- * Retrieved from: http://data.iana.org/TLD/tlds-alpha-by-domain.txt
- * Version 2012022800, Last Updated Tue Feb 28 15:07:01 2012 UTC.
- * @type {Array|string}
- * @private
- */
-forms.Validation.prototype.topLevelDomains_ = '' +
-      'ac|ad|ae|aero|af|ag|ai|al|am|an|ao|aq|ar|arpa|as|asia|at|au|aw|ax|az|' +
-      'ba|bb|bd|be|bf|bg|bh|bi|biz|bj|bm|bn|bo|br|bs|bt|bv|bw|by|bz|ca|cat|' +
-      'cc|cd|cf|cg|ch|ci|ck|cl|cm|cn|co|com|coop|cr|cu|cv|cw|cx|cy|cz|de|dj|' +
-      'dk|dm|do|dz|ec|edu|ee|eg|er|es|et|eu|fi|fj|fk|fm|fo|fr|ga|gb|gd|ge|gf|' +
-      'gg|gh|gi|gl|gm|gn|gov|gp|gq|gr|gs|gt|gu|gw|gy|hk|hm|hn|hr|ht|hu|id|ie|' +
-      'il|im|in|info|int|io|iq|ir|is|it|je|jm|jo|jobs|jp|ke|kg|kh|ki|km|kn|' +
-      'kp|kr|kw|ky|kz|la|lb|lc|li|lk|lr|ls|lt|lu|lv|ly|ma|mc|md|me|mg|mh|mil|' +
-      'mk|ml|mm|mn|mo|mobi|mp|mq|mr|ms|mt|mu|museum|mv|mw|mx|my|mz|na|name|' +
-      'nc|ne|net|nf|ng|ni|nl|no|np|nr|nu|nz|om|org|pa|pe|pf|pg|ph|pk|pl|pm|' +
-      'pn|pr|pro|ps|pt|pw|py|qa|re|ro|rs|ru|rw|sa|sb|sc|sd|se|sg|sh|si|sj|sk|' +
-      'sl|sm|sn|so|sr|st|su|sv|sx|sy|sz|tc|td|tel|tf|tg|th|tj|tk|tl|tm|tn|to|' +
-      'tp|tr|travel|tt|tv|tw|tz|ua|ug|uk|us|uy|uz|va|vc|ve|vg|vi|vn|vu|wf|ws|' +
-      'xxx|ye|yt|za|zm|zw';
-
 goog.exportSymbol('forms.Validation', forms.Validation);
 goog.exportProperty(forms.Validation.prototype, 'anchor',
                     forms.Validation.prototype.anchor);
@@ -803,6 +3224,48 @@ goog.exportProperty(forms.Validation.prototype, 'errorClass',
                     forms.Validation.prototype.errorClass);
 goog.exportProperty(forms.Validation.prototype, 'errorDisplay',
                     forms.Validation.prototype.errorDisplay);
+goog.exportProperty(forms.Validation.prototype, 'constraints',
+                    forms.Validation.prototype.constraints);
+goog.exportProperty(forms.Validation.prototype, 'customValidity',
+                    forms.Validation.prototype.customValidity);
+goog.exportProperty(forms.Validation.prototype, 'aria',
+                    forms.Validation.prototype.aria);
+goog.exportProperty(forms.Validation.prototype, 'ariaSummary',
+                    forms.Validation.prototype.ariaSummary);
+goog.exportProperty(forms.Validation.prototype, 'ariaSummaryOne',
+                    forms.Validation.prototype.ariaSummaryOne);
+goog.exportProperty(forms.Validation.prototype, 'liveRegion',
+                    forms.Validation.prototype.liveRegion);
+goog.exportProperty(forms.Validation.prototype, 'defaultMessage',
+                    forms.Validation.prototype.defaultMessage);
+goog.exportProperty(forms.Validation.prototype, 'strengthLabels',
+                    forms.Validation.prototype.strengthLabels);
+goog.exportProperty(forms.Validation.prototype, 'passwordStrength',
+                    forms.Validation.prototype.passwordStrength);
+goog.exportProperty(forms.Validation.prototype, 'bindStrengthMeter',
+                    forms.Validation.prototype.bindStrengthMeter);
+goog.exportProperty(forms.Validation.prototype, 'generateMessages',
+                    forms.Validation.prototype.generateMessages);
+goog.exportProperty(forms.Validation.prototype, 'locale',
+                    forms.Validation.prototype.locale);
+goog.exportProperty(forms.Validation.prototype, 'catalogs',
+                    forms.Validation.prototype.catalogs);
+goog.exportProperty(forms.Validation.prototype, 'messageArgs',
+                    forms.Validation.prototype.messageArgs);
+goog.exportProperty(forms.Validation.prototype, 'formatMessage',
+                    forms.Validation.prototype.formatMessage);
+goog.exportProperty(forms.Validation.prototype, 'addCatalog',
+                    forms.Validation.prototype.addCatalog);
+goog.exportProperty(forms.Validation.prototype, 'setLocale',
+                    forms.Validation.prototype.setLocale);
+goog.exportProperty(forms.Validation.prototype, 'summary',
+                    forms.Validation.prototype.summary);
+goog.exportProperty(forms.Validation.prototype, 'summaryContainer',
+                    forms.Validation.prototype.summaryContainer);
+goog.exportProperty(forms.Validation.prototype, 'summaryClass',
+                    forms.Validation.prototype.summaryClass);
+goog.exportProperty(forms.Validation.prototype, 'summaryHeading',
+                    forms.Validation.prototype.summaryHeading);
 goog.exportProperty(forms.Validation.prototype, 'jump',
                     forms.Validation.prototype.jump);
 goog.exportProperty(forms.Validation.prototype, 'multiClass',
@@ -815,7 +3278,75 @@ goog.exportProperty(forms.Validation.prototype, 'fileTypes',
                     forms.Validation.prototype.fileTypes);
 goog.exportProperty(forms.Validation.prototype, 'validationExp',
                     forms.Validation.prototype.validationExp);
+goog.exportProperty(forms.Validation.prototype, 'disposableDomains',
+                    forms.Validation.prototype.disposableDomains);
 goog.exportProperty(forms.Validation.prototype, 'isValid',
                     forms.Validation.prototype.isValid);
+goog.exportProperty(forms.Validation.prototype, 'groupAttribute',
+                    forms.Validation.prototype.groupAttribute);
+goog.exportProperty(forms.Validation.prototype, 'submitGroupAttribute',
+                    forms.Validation.prototype.submitGroupAttribute);
+goog.exportProperty(forms.Validation.prototype, 'rulesAttribute',
+                    forms.Validation.prototype.rulesAttribute);
+goog.exportProperty(forms.Validation.prototype, 'fetch',
+                    forms.Validation.prototype.fetch);
+goog.exportProperty(forms.Validation.prototype, 'validate',
+                    forms.Validation.prototype.validate);
+goog.exportProperty(forms.Validation.prototype, 'exportRules',
+                    forms.Validation.prototype.exportRules);
+goog.exportProperty(forms.Validation.prototype, 'importRules',
+                    forms.Validation.prototype.importRules);
+goog.exportProperty(forms.Validation.prototype, 'isValidAsync',
+                    forms.Validation.prototype.isValidAsync);
+goog.exportProperty(forms.Validation.prototype, 'validateFieldAsync',
+                    forms.Validation.prototype.validateFieldAsync);
+goog.exportProperty(forms.Validation.prototype, 'setTopLevelDomains',
+                    forms.Validation.prototype.setTopLevelDomains);
+goog.exportProperty(forms.Validation.prototype, 'loadTopLevelDomains',
+                    forms.Validation.prototype.loadTopLevelDomains);
+goog.exportProperty(forms.Validation.prototype, 'refresh',
+                    forms.Validation.prototype.refresh);
+goog.exportProperty(forms.Validation.prototype, 'destroy',
+                    forms.Validation.prototype.destroy);
+goog.exportProperty(forms.Validation.prototype, 'addRemoteValidator',
+                    forms.Validation.prototype.addRemoteValidator);
 goog.exportProperty(forms.Validation.prototype, 'hideAllErrors',
                     forms.Validation.prototype.hideAllErrors);
+goog.exportProperty(forms.Validation.prototype, 'addValidator',
+                    forms.Validation.prototype.addValidator);
+goog.exportProperty(forms.Validation.prototype, 'addNormalizer',
+                    forms.Validation.prototype.addNormalizer);
+goog.exportProperty(forms.Validation.prototype, 'writeNormalized',
+                    forms.Validation.prototype.writeNormalized);
+goog.exportProperty(forms.Validation.prototype, 'validateField',
+                    forms.Validation.prototype.validateField);
+goog.exportProperty(forms.Validation.prototype, 'enableLive',
+                    forms.Validation.prototype.enableLive);
+goog.exportProperty(forms.Validation.prototype, 'disableLive',
+                    forms.Validation.prototype.disableLive);
+goog.exportProperty(forms.Validation.prototype, 'isDirty',
+                    forms.Validation.prototype.isDirty);
+goog.exportProperty(forms.Validation.prototype, 'isTouched',
+                    forms.Validation.prototype.isTouched);
+goog.exportProperty(forms.Validation.prototype, 'setPristine',
+                    forms.Validation.prototype.setPristine);
+goog.exportProperty(forms.Validation.prototype, 'setUntouched',
+                    forms.Validation.prototype.setUntouched);
+goog.exportProperty(forms.Validation.prototype, 'enableStateClasses',
+                    forms.Validation.prototype.enableStateClasses);
+goog.exportProperty(forms.Validation.prototype, 'disableStateClasses',
+                    forms.Validation.prototype.disableStateClasses);
+goog.exportProperty(forms.Validation.prototype, 'enableUnloadGuard',
+                    forms.Validation.prototype.enableUnloadGuard);
+goog.exportProperty(forms.Validation.prototype, 'disableUnloadGuard',
+                    forms.Validation.prototype.disableUnloadGuard);
+goog.exportProperty(forms.Validation.prototype, 'pristineClass',
+                    forms.Validation.prototype.pristineClass);
+goog.exportProperty(forms.Validation.prototype, 'dirtyClass',
+                    forms.Validation.prototype.dirtyClass);
+goog.exportProperty(forms.Validation.prototype, 'untouchedClass',
+                    forms.Validation.prototype.untouchedClass);
+goog.exportProperty(forms.Validation.prototype, 'touchedClass',
+                    forms.Validation.prototype.touchedClass);
+goog.exportProperty(forms.Validation.prototype, 'unloadMessage',
+                    forms.Validation.prototype.unloadMessage);
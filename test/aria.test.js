@@ -0,0 +1,75 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helper = require('./helper');
+
+var FORM = '<form>' +
+    '<ins id="name-0-err" class="v-error v-m">Required.</ins>' +
+    '<ins id="name-1-err" class="v-m v-alpha">Letters only.</ins>' +
+    '<input name="name" type="text" aria-describedby="hint">' +
+    '<span id="hint">Your first name.</span>' +
+    '<ins id="agree-err" class="v-error">Please agree.</ins>' +
+    '<input name="agree" type="checkbox">' +
+    '<ins id="email-err" class="v-email">Invalid email.</ins>' +
+    '<input name="email" type="text" value="a@example.com">' +
+    '</form>';
+
+test('invalid fields are marked and described by their message',
+    function() {
+  var page = helper.page(FORM);
+  var elements = page.form.elements;
+  elements['name'].value = '12';
+
+  page.validation.isValid();
+  assert.strictEqual(elements['name'].getAttribute('aria-invalid'), 'true');
+  assert.strictEqual(elements['name'].getAttribute('aria-describedby'),
+      'hint name-1-err');
+  assert.strictEqual(elements['agree'].getAttribute('aria-describedby'),
+      'agree-err');
+  assert.strictEqual(elements['email'].getAttribute('aria-invalid'),
+      'false');
+});
+
+test('fixed fields keep only their own descriptions', function() {
+  var page = helper.page(FORM);
+  var elements = page.form.elements;
+  elements['name'].value = '12';
+  page.validation.isValid();
+
+  elements['name'].value = 'Ada';
+  elements['agree'].checked = true;
+  page.validation.isValid();
+  assert.strictEqual(elements['name'].getAttribute('aria-invalid'), 'false');
+  assert.strictEqual(elements['name'].getAttribute('aria-describedby'),
+      'hint');
+  assert.strictEqual(elements['agree'].hasAttribute('aria-describedby'),
+      false);
+});
+
+test('the number of errors is announced in a live region',
+    async function() {
+  var page = helper.page(FORM);
+  page.form.elements['name'].value = '12';
+
+  page.validation.isValid();
+  var region = page.validation.liveRegion;
+  assert.strictEqual(region.getAttribute('aria-live'), 'polite');
+  await helper.wait(150);
+  assert.strictEqual(region.textContent, '2 errors in form.');
+
+  page.form.elements['name'].value = 'Ada';
+  page.validation.isValid();
+  await helper.wait(150);
+  assert.strictEqual(region.textContent, '1 error in form.');
+});
+
+test('aria set to false leaves fields alone', function() {
+  var page = helper.page(FORM);
+  page.validation.aria = false;
+
+  page.validation.isValid();
+  assert.strictEqual(page.form.elements['agree'].hasAttribute('aria-invalid'),
+      false);
+  assert.strictEqual(page.validation.liveRegion, null);
+});
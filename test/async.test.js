@@ -0,0 +1,115 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helper = require('./helper');
+
+var FORM = '<form novalidate>' +
+    '<ins id="user-err" class="v-available">Taken.</ins>' +
+    '<input name="user" type="text">' +
+    '</form>';
+var SUBMIT_FORM = '<form novalidate>' +
+    '<ins id="user-err" class="v-available">Taken.</ins>' +
+    '<input name="user" type="text" value="alice">' +
+    '<input name="submit" type="hidden" value="shadow">' +
+    '<button name="action" value="save">Save</button>' +
+    '</form>';
+
+/**
+ * Creates a fetch replacement that answers whether the value is free.
+ * @param {Array} urls Receives the requested URLs.
+ * @return {function(string, Object): Promise} Fetch.
+ */
+function fakeFetch(urls) {
+  return function(url) {
+    urls.push(url);
+    var value = decodeURIComponent(url.split('value=')[1].split('&')[0]);
+    return helper.wait(5).then(function() {
+      return {ok: true, json: function() {
+        return Promise.resolve({valid: value !== 'admin'});
+      }};
+    });
+  };
+}
+
+test('isValidAsync waits for asynchronous validators', async function() {
+  var page = helper.page(FORM);
+  page.validation.addValidator('available', function(value) {
+    return helper.wait(5).then(function() {
+      return value !== 'admin';
+    });
+  });
+
+  page.form.elements['user'].value = 'admin';
+  assert.strictEqual(await page.validation.isValidAsync(), false);
+  assert.strictEqual(helper.isShown(page.window, 'user-err'), true);
+  page.form.elements['user'].value = 'alice';
+  assert.strictEqual(await page.validation.isValidAsync(), true);
+  assert.strictEqual(helper.isShown(page.window, 'user-err'), false);
+});
+
+test('a remote validator sends the value and args', async function() {
+  var page = helper.page('<form novalidate>' +
+      '<ins id="user-err" class="v-available-en">Taken.</ins>' +
+      '<input name="user" type="text" value="admin">' +
+      '</form>');
+  var urls = [];
+  page.validation.fetch = fakeFetch(urls);
+  page.validation.addRemoteValidator('available', '/check');
+
+  assert.strictEqual(await page.validation.validateFieldAsync('user'),
+      false);
+  assert.deepStrictEqual(urls, ['/check?value=admin&args=en']);
+});
+
+test('a failed request is treated as invalid', async function() {
+  var page = helper.page(FORM);
+  page.validation.fetch = function() {
+    return Promise.reject(new Error('offline'));
+  };
+  page.validation.addRemoteValidator('available', '/check');
+
+  page.form.elements['user'].value = 'alice';
+  assert.strictEqual(await page.validation.isValidAsync(), false);
+});
+
+test('submit waits for remote validators before submitting',
+    async function() {
+  var page = helper.page(SUBMIT_FORM);
+  var submits = [];
+  var validsubmits = 0;
+  page.validation.fetch = fakeFetch([]);
+  page.validation.addRemoteValidator('available', '/check');
+  page.form.addEventListener('validsubmit', function() {
+    validsubmits++;
+  });
+  page.form.addEventListener('submit', function(e) {
+    submits.push(e.defaultPrevented ? 'blocked' : e.submitter.value);
+    e.preventDefault();
+  });
+
+  page.form.querySelector('button').click();
+  assert.deepStrictEqual(submits, ['blocked']);
+  await helper.wait(30);
+  assert.deepStrictEqual(submits, ['blocked', 'save']);
+  assert.strictEqual(validsubmits, 1);
+});
+
+test('without requestSubmit the button\'s name and value are still sent',
+    async function() {
+  var page = helper.page(SUBMIT_FORM);
+  var proto = page.window.HTMLFormElement.prototype;
+  var sent = [];
+  proto.requestSubmit = undefined;
+  proto.submit = function() {
+    sent.push(helper.plain(Array.from(new page.window.FormData(this))));
+  };
+  page.validation.fetch = fakeFetch([]);
+  page.validation.addRemoteValidator('available', '/check');
+
+  page.form.querySelector('button').click();
+  await helper.wait(30);
+  assert.deepStrictEqual(sent, [[['user', 'alice'], ['submit', 'shadow'],
+                                 ['action', 'save']]]);
+  assert.strictEqual(page.form.elements.length, 3);
+});
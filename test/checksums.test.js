@@ -0,0 +1,104 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var Rules = require('../form-rules.js');
+
+/**
+ * Asserts the results of a rule for several values.
+ * @param {string} method Method name.
+ * @param {Array} cases Value, args and expected result of each case.
+ */
+function assertRule(method, cases) {
+  var rules = new Rules();
+  cases.forEach(function(item) {
+    assert.strictEqual(rules.test(method, item[0], item[1]), item[2],
+        method + ' ' + item[0] + ' ' + item[1].join('-'));
+  });
+}
+
+test('creditcard checks the Luhn digit and the brand', function() {
+  assertRule('creditcard', [
+    ['4111 1111 1111 1111', [], true],
+    ['4111-1111-1111-1112', [], false],
+    ['41111111111111', [], false],
+    ['378282246310005', [], true],
+    ['5555555555554444', ['visa', 'mc'], true],
+    ['378282246310005', ['visa', 'mc'], false],
+    ['2223003122003222', ['mc'], true],
+    ['6011111111111117', ['discover'], true],
+    ['3530111333300000', ['jcb'], true],
+    ['30569309025904', ['diners'], true]
+  ]);
+});
+
+test('iban checks the mod 97 check digits and the country', function() {
+  assertRule('iban', [
+    ['DE89 3704 0044 0532 0130 00', [], true],
+    ['GB82 WEST 1234 5698 7654 32', [], true],
+    ['GB82 WEST 1234 5698 7654 33', [], false],
+    ['DE89370400440532013000', ['at'], false],
+    ['NL91ABNA0417164300', ['nl', 'de'], true]
+  ]);
+});
+
+test('isbn, ean and upc check their check digits', function() {
+  assertRule('isbn', [
+    ['0-306-40615-2', [], true],
+    ['0-8044-2957-X', [], true],
+    ['978-0-306-40615-7', [], true],
+    ['978-0-306-40615-7', ['10'], false],
+    ['0306406153', [], false]
+  ]);
+  assertRule('ean', [
+    ['4006381333931', [], true],
+    ['73513537', [], true],
+    ['4006381333932', [], false]
+  ]);
+  assertRule('upc', [
+    ['036000291452', [], true],
+    ['4006381333931', [], false]
+  ]);
+});
+
+test('vat checks the number of each country', function() {
+  assertRule('vat', [
+    ['DE136695976', [], true],
+    ['DE136695977', [], false],
+    ['ATU13585627', [], true],
+    ['BE0417497106', [], true],
+    ['FR40303265045', [], true],
+    ['IT00743110157', [], true],
+    ['NL004495445B01', [], true],
+    ['NL004495445B01', ['de'], false],
+    ['GB 980 7806 84', ['gb'], true]
+  ]);
+});
+
+test('nationalid checks the number of the given country', function() {
+  assertRule('nationalid', [
+    ['123-45-6789', ['us'], true],
+    ['000-45-6789', ['us'], false],
+    ['12345678Z', ['es'], true],
+    ['12345678A', ['es'], false],
+    ['X1234567L', ['es'], true],
+    ['111222333', ['nl'], true],
+    ['111222334', ['nl'], false],
+    ['811228-9874', ['se'], true],
+    ['19811228-9874', ['se'], true],
+    ['811328-9874', ['se'], false]
+  ]);
+});
+
+test('validation reports what was detected', function() {
+  var report = new Rules().validate({
+    card: '378282246310005',
+    iban: 'DE89 3704 0044 0532 0130 00'
+  }, {card: 'creditcard-visa-mc', iban: 'iban'});
+
+  assert.deepStrictEqual(report['fields']['card']['detected'],
+      {creditcard: 'amex'});
+  assert.strictEqual(report['fields']['card']['valid'], false);
+  assert.deepStrictEqual(report['fields']['iban']['detected'],
+      {iban: 'DE'});
+});
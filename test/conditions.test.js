@@ -0,0 +1,60 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helper = require('./helper');
+var Rules = require('../form-rules.js');
+
+test('if applies the rules only when the other field matches', function() {
+  var rules = new Rules();
+  var ruleSet = {state: 'if-country-US required'};
+
+  assert.strictEqual(rules.validate({country: 'US', state: ''},
+      ruleSet)['valid'], false);
+  assert.strictEqual(rules.validate({country: 'FR', state: ''},
+      ruleSet)['valid'], true);
+  assert.strictEqual(rules.validate({country: 'CA', state: ''},
+      {state: 'if-country-US-CA required'})['valid'], false);
+});
+
+test('unless applies the rules only when the field is empty', function() {
+  var rules = new Rules();
+  var ruleSet = {email: 'unless-byphone required'};
+
+  assert.strictEqual(rules.validate({byphone: false, email: ''},
+      ruleSet)['valid'], false);
+  assert.strictEqual(rules.validate({byphone: 'on', email: ''},
+      ruleSet)['valid'], true);
+});
+
+test('a condition without an error message id covers later rules',
+    function() {
+  var rules = new Rules();
+  var ruleSet = {zip: ['if-country-US', {method: 'required', args: []},
+                       {method: 'len', args: ['5']}]};
+
+  assert.deepStrictEqual(rules.validate({country: 'US', zip: ''},
+      ruleSet)['fields']['zip']['failed'],
+      [{method: 'required', args: [], errorId: null},
+       {method: 'len', args: ['5'], errorId: null}]);
+  assert.strictEqual(rules.validate({country: 'DE', zip: ''},
+      ruleSet)['valid'], true);
+});
+
+test('conditions read checkboxes and checkbox groups', function() {
+  var page = helper.page('<form>' +
+      '<input name="contact[]" type="checkbox" value="mail">' +
+      '<input name="contact[]" type="checkbox" value="phone">' +
+      '<ins id="phone-err" class="v-if-contact-phone v-required">' +
+      'Required.</ins>' +
+      '<input name="phone" type="text">' +
+      '</form>');
+  var boxes = page.form.elements['contact[]'];
+
+  boxes[0].checked = true;
+  assert.strictEqual(page.validation.isValid(), true);
+  assert.strictEqual(helper.isShown(page.window, 'phone-err'), false);
+  boxes[1].checked = true;
+  assert.strictEqual(page.validation.isValid(), false);
+  assert.strictEqual(helper.isShown(page.window, 'phone-err'), true);
+});
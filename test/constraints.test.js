@@ -0,0 +1,98 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helper = require('./helper');
+
+/**
+ * Loads a form with constraint attributes read as rules.
+ * @param {string} html Form HTML.
+ * @return {Object} Page, see helper.page.
+ */
+function constraintPage(html) {
+  var page = helper.page(html);
+  page.validation.constraints = true;
+  return page;
+}
+
+/**
+ * Lists the failed methods of each invalid field.
+ * @param {forms.Validation} validation Validator.
+ * @return {Object} Method names, keyed by field name.
+ */
+function failures(validation) {
+  var fields = validation.validate()['fields'];
+  var failed = {};
+  for (var name in fields) {
+    if (!fields[name]['valid']) {
+      failed[name] = fields[name]['failed'].map(function(rule) {
+        return rule['method'];
+      });
+    }
+  }
+  return helper.plain(failed);
+}
+
+test('constraint attributes and input types are read as rules', function() {
+  var page = constraintPage('<form novalidate>' +
+      '<ins id="email-err">Invalid email.</ins>' +
+      '<input name="email" type="email">' +
+      '<ins id="qty-err">1 to 10.</ins>' +
+      '<input name="qty" type="number" min="1" max="10" required>' +
+      '<ins id="zip-err">Invalid zip.</ins>' +
+      '<input name="zip" pattern="[0-9]{5}">' +
+      '</form>');
+  var elements = page.form.elements;
+
+  assert.deepStrictEqual(failures(page.validation), {qty: ['required']});
+  elements['email'].value = 'x';
+  elements['qty'].value = '11';
+  elements['zip'].value = '12a';
+  assert.deepStrictEqual(failures(page.validation),
+      {email: ['email'], qty: ['max'], zip: ['pattern']});
+  elements['email'].value = 'a@example.com';
+  elements['qty'].value = '5';
+  elements['zip'].value = '12345';
+  assert.strictEqual(page.validation.isValid(), true);
+});
+
+test('minlength and maxlength become len rules', function() {
+  var page = constraintPage('<form novalidate>' +
+      '<input name="a" minlength="5">' +
+      '<input name="b" maxlength="0">' +
+      '<input name="c" minlength="2" maxlength="4">' +
+      '</form>');
+  var rules = helper.plain(page.validation.exportRules());
+
+  assert.deepStrictEqual(rules['a'][1]['args'], ['5']);
+  assert.deepStrictEqual(rules['b'][1]['args'], ['0', '0']);
+  assert.deepStrictEqual(rules['c'][1]['args'], ['2', '4']);
+  page.form.elements['b'].value = 'x';
+  assert.deepStrictEqual(failures(page.validation), {b: ['len']});
+});
+
+test('an invalid pattern attribute is ignored', function() {
+  var page = constraintPage('<form novalidate>' +
+      '<input name="a" pattern="[a-" value="zzz">' +
+      '</form>');
+
+  assert.doesNotThrow(function() {
+    page.validation.isValid();
+  });
+  assert.deepStrictEqual(failures(page.validation), {});
+});
+
+test('customValidity reports messages to the browser', function() {
+  var page = constraintPage('<form novalidate>' +
+      '<ins id="email-err">Enter an email.</ins>' +
+      '<input name="email" type="email" value="x">' +
+      '</form>');
+  var email = page.form.elements['email'];
+  page.validation.customValidity = true;
+
+  assert.strictEqual(page.validation.isValid(), false);
+  assert.strictEqual(email.validationMessage, 'Enter an email.');
+  email.value = 'a@example.com';
+  assert.strictEqual(page.validation.isValid(), true);
+  assert.strictEqual(email.validity.valid, true);
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helper = require('./helper');
+var Rules = require('../form-rules.js');
+
+test('parseRules reads method calls with quoted args and lists',
+    function() {
+  var rules = new Rules();
+
+  assert.deepStrictEqual(rules.parseRules(' required len(2,40) ' +
+      'match(billing-email) range(-40, 60) if(country, [US, CA]) ' +
+      'pattern("[a-z]+, \\"x\\"") after( 2024-01-01 ) foo() '), [
+    {method: 'required', args: []},
+    {method: 'len', args: ['2', '40']},
+    {method: 'match', args: ['billing-email']},
+    {method: 'range', args: ['-40', '60']},
+    {method: 'if', args: ['country', 'US', 'CA']},
+    {method: 'pattern', args: ['[a-z]+, "x"']},
+    {method: 'after', args: ['2024-01-01']},
+    {method: 'foo', args: []}
+  ]);
+});
+
+test('parseRules reports where the syntax is wrong', function() {
+  var rules = new Rules();
+  var errors = {
+    'len(2': 'expected , or ) at position 5.',
+    'len-2-40': 'expected ( or a space at position 3.',
+    'p("abc)': 'expected a closing " at position 7.',
+    '(a)': 'expected a rule name at position 0.',
+    'x(,)': 'expected a value at position 2.'
+  };
+
+  for (var text in errors) {
+    assert.throws(function() {
+      rules.parseRules(text);
+    }, {name: 'SyntaxError',
+        message: 'Invalid rules "' + text + '": ' + errors[text]});
+  }
+});
+
+test('rule sets may use the method call syntax', function() {
+  var report = new Rules().validate({a: 'x', c: 'US', b: ''},
+      {a: 'required len(2, 40)', b: 'if(c, [US, CA]) required'});
+
+  assert.deepStrictEqual(report['fields']['a']['failed'],
+      [{method: 'len', args: ['2', '40'], errorId: null}]);
+  assert.deepStrictEqual(report['fields']['b']['failed'],
+      [{method: 'required', args: [], errorId: null}]);
+});
+
+test('data-rules on fields and error messages add rules', function() {
+  var page = helper.page('<form>' +
+      '<input name="billing-email" value="a@example.com">' +
+      '<span id="confirm-err" class="error">Must match.</span>' +
+      '<input name="confirm" data-rules="required match(billing-email)">' +
+      '<ins id="temp-err" class="v-error" data-rules="range(-10, -5)">' +
+      'Out of range.</ins>' +
+      '<input name="temp" value="-7">' +
+      '</form>');
+  var elements = page.form.elements;
+
+  var report = helper.plain(page.validation.validate());
+  assert.strictEqual(report['firstErrorId'], 'confirm-err');
+  assert.deepStrictEqual(report['fields']['confirm']['failed'],
+      [{method: 'required', args: [], errorId: 'confirm-err'}]);
+  assert.strictEqual(report['fields']['temp']['valid'], true);
+
+  elements['confirm'].value = 'a@example.com';
+  elements['temp'].value = '-11';
+  report = helper.plain(page.validation.validate());
+  assert.strictEqual(report['fields']['confirm']['valid'], true);
+  assert.deepStrictEqual(report['fields']['temp']['failed'],
+      [{method: 'range', args: ['-10', '-5'], errorId: 'temp-err'}]);
+});
+
+test('a malformed data-rules attribute skips its element only', function() {
+  var page = helper.page('<form>' +
+      '<input name="a" data-rules="len(2, ">' +
+      '<ins id="b-err" class="v-error" data-rules="required)">Bad.</ins>' +
+      '<input name="b">' +
+      '<input name="c" data-rules="required">' +
+      '</form>');
+  var errors = [];
+  page.form.addEventListener('ruleserror', function(e) {
+    errors.push(e.target.id || e.target.name);
+    assert.ok(/Invalid rules/.test(e.detail['error'].message));
+  });
+
+  assert.strictEqual(page.validation.isValid(), false);
+  assert.deepStrictEqual(errors, ['b-err', 'a']);
+  assert.deepStrictEqual(helper.plain(page.validation.exportRules()),
+      {c: [{method: 'required', args: [], errorId: 'c-err'}]});
+  page.validation.hideAllErrors();
+
+  page.form.elements['c'].value = 'x';
+  var event = new page.window.Event('submit', {cancelable: true});
+  page.form.dispatchEvent(event);
+  assert.strictEqual(event.defaultPrevented, false);
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var Rules = require('../form-rules.js');
+
+/**
+ * Formats a date as an ISO date string.
+ * @param {Date} date Date.
+ * @return {string} E.g. 2012-02-28.
+ */
+function iso(date) {
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+      .map(function(part) {
+        return (part < 10 ? '0' : '') + part;
+      }).join('-');
+}
+
+/**
+ * Returns the date a number of years from today.
+ * @param {number} years Years, negative for the past.
+ * @param {number=} opt_days Days to add as well.
+ * @return {Date} Date.
+ */
+function yearsFromNow(years, opt_days) {
+  var date = new Date();
+  date.setFullYear(date.getFullYear() + years);
+  date.setDate(date.getDate() + (opt_days || 0));
+  return date;
+}
+
+test('date accepts existing dates in the given format', function() {
+  var rules = new Rules();
+
+  assert.strictEqual(rules.test('date', '2012-02-29'), true);
+  assert.strictEqual(rules.test('date', '2012-02-28T15:07'), true);
+  assert.strictEqual(rules.test('date', '2011-02-29'), false);
+  assert.strictEqual(rules.test('date', '02/28/2012', ['mdy']), true);
+  assert.strictEqual(rules.test('date', '28.02.2012', ['dmy']), true);
+  assert.strictEqual(rules.test('date', '28.02.2012'), false);
+});
+
+test('an unknown date format fails instead of throwing', function() {
+  var rules = new Rules();
+
+  assert.strictEqual(rules.test('date', '2012-02-28', ['ymd']), false);
+  assert.strictEqual(rules.test('date', '2012-02-28', ['toString']), false);
+});
+
+test('past and future compare with the current time', function() {
+  var rules = new Rules();
+
+  assert.strictEqual(rules.test('past', iso(yearsFromNow(-1))), true);
+  assert.strictEqual(rules.test('past', iso(yearsFromNow(1))), false);
+  assert.strictEqual(rules.test('future', iso(yearsFromNow(1))), true);
+});
+
+test('age counts whole years', function() {
+  var rules = new Rules();
+
+  assert.strictEqual(rules.test('age', iso(yearsFromNow(-18)), ['18']),
+      true);
+  assert.strictEqual(rules.test('age', iso(yearsFromNow(-18, 1)), ['18']),
+      false);
+  assert.strictEqual(
+      rules.test('age', iso(yearsFromNow(-130)), ['18', '120']), false);
+});
+
+test('after and before compare with another field', function() {
+  var rules = new Rules();
+  var ruleSet = {end: 'after-start'};
+
+  assert.strictEqual(rules.validate({start: '2012-02-28', end: '2012-03-01'},
+      ruleSet)['valid'], true);
+  assert.strictEqual(rules.validate({start: '2012-02-28', end: '2012-02-27'},
+      ruleSet)['valid'], false);
+  assert.strictEqual(rules.validate({start: '02/28/2012', end: '02/27/2012'},
+      {end: 'before-start-mdy'})['valid'], true);
+  assert.strictEqual(rules.validate({start: '', end: '2012-02-27'},
+      ruleSet)['valid'], true);
+});
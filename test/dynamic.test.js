@@ -0,0 +1,113 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helper = require('./helper');
+var Rules = require('../form-rules.js');
+
+var RULE_SET = {
+  'items[*][qty]': 'required range(1, 10)',
+  'items[*][note]': 'if(items[*][qty]) len(0, 5)'
+};
+
+/**
+ * Adds a row of fields to the table of a page.
+ * @param {Object} page Page, see helper.page.
+ * @param {number} index Row index.
+ */
+function addRow(page, index) {
+  var row = page.window.document.createElement('tr');
+  row.id = 'row' + index;
+  row.innerHTML = '<td><input name="items[' + index + '][qty]">' +
+      '<input name="items[' + index + '][note]"></td>';
+  page.window.document.getElementById('rows').appendChild(row);
+}
+
+/**
+ * Lists the fields in the validation report of a page.
+ * @param {Object} page Page, see helper.page.
+ * @return {Array} Field names.
+ */
+function reportedFields(page) {
+  return Object.keys(page.validation.validate()['fields']);
+}
+
+test('rows added to the form are validated', function() {
+  var page = helper.page('<form><table id="rows"></table></form>',
+      RULE_SET);
+
+  assert.strictEqual(page.validation.isValid(), true);
+  addRow(page, 0);
+  addRow(page, 3);
+  assert.deepStrictEqual(reportedFields(page), ['items[0][qty]',
+      'items[3][qty]', 'items[0][note]', 'items[3][note]']);
+  assert.strictEqual(page.validation.isValid(), false);
+});
+
+test('[*] in args refers to the field of the same row', function() {
+  var page = helper.page('<form><table id="rows"></table></form>',
+      RULE_SET);
+  addRow(page, 0);
+  addRow(page, 3);
+  var elements = page.form.elements;
+
+  elements['items[0][qty]'].value = '5';
+  elements['items[0][note]'].value = 'too long';
+  elements['items[3][note]'].value = 'too long';
+  var fields = page.validation.validate()['fields'];
+  assert.strictEqual(fields['items[0][note]']['valid'], false);
+  assert.strictEqual(fields['items[3][note]']['valid'], true);
+});
+
+test('removed rows are no longer validated', function() {
+  var page = helper.page('<form><table id="rows"></table></form>',
+      RULE_SET);
+  addRow(page, 0);
+  addRow(page, 3);
+  page.form.elements['items[0][qty]'].value = '5';
+
+  page.window.document.getElementById('row3').remove();
+  assert.deepStrictEqual(reportedFields(page),
+      ['items[0][qty]', 'items[0][note]']);
+  assert.strictEqual(page.validation.isValid(), true);
+});
+
+test('error messages added with a row are found', function() {
+  var page = helper.page('<form><div id="rows"></div></form>');
+
+  assert.strictEqual(page.validation.isValid(), true);
+  page.window.document.getElementById('rows').innerHTML =
+      '<ins id="items[1][qty]-0-err" class="v-error v-m">Required.</ins>' +
+      '<ins id="items[1][qty]-1-err" class="v-m v-num">Numbers only.</ins>' +
+      '<input name="items[1][qty]">';
+  assert.strictEqual(page.validation.isValid(), false);
+  assert.strictEqual(helper.isShown(page.window, 'items[1][qty]-0-err'),
+      true);
+  page.form.elements['items[1][qty]'].value = '4';
+  assert.strictEqual(page.validation.isValid(), true);
+});
+
+test('forms are rescanned on each pass without MutationObserver',
+    function() {
+  var window = helper.load('<form><table id="rows"></table></form>');
+  window.MutationObserver = undefined;
+  var form = window.document.forms[0];
+  var page = {
+    window: window,
+    form: form,
+    validation: new window.forms.Validation(form, RULE_SET)
+  };
+
+  assert.strictEqual(page.validation.isValid(), true);
+  addRow(page, 0);
+  assert.strictEqual(page.validation.isValid(), false);
+});
+
+test('forms.Rules applies [*] keys to every indexed value', function() {
+  var report = new Rules().validate(
+      {'items[0][qty]': '', 'items[1][qty]': '3'},
+      {'items[*][qty]': ['required']});
+
+  assert.strictEqual(report['fields']['items[0][qty]']['valid'], false);
+  assert.strictEqual(report['fields']['items[1][qty]']['valid'], true);
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var Rules = require('../form-rules.js');
+
+/**
+ * Asserts the result of the email rule for each address.
+ * @param {Array} args Rule args.
+ * @param {Object} cases Expected result, keyed by address.
+ */
+function assertEmails(args, cases) {
+  var rules = new Rules();
+  for (var address in cases) {
+    assert.strictEqual(rules.test('email', address, args), cases[address],
+        address);
+  }
+}
+
+test('email accepts dot-atom addresses on known top-level domains',
+    function() {
+  assertEmails([], {
+    'a@example.dev': true,
+    'a.b+c@ex-ample.co.uk': true,
+    'a..b@example.com': false,
+    '.a@example.com': false,
+    'a@example': false,
+    '@example.com': false,
+    'a@-a.com': false,
+    'a@a-.com': false
+  });
+  assert.strictEqual(new Rules().test('email',
+      new Array(66).join('x') + '@example.com'), false);
+});
+
+test('quoted allows quoted local parts', function() {
+  assertEmails([], {'"john doe"@example.com': false});
+  assertEmails(['quoted'], {
+    '"john doe"@example.com': true,
+    '"a\\"b"@example.com': true,
+    '"a"b"@example.com': false
+  });
+});
+
+test('idn allows internationalized addresses', function() {
+  assertEmails([], {
+    'a@bücher.example': false,
+    'a@xn--bcher-kva.example': true
+  });
+  assertEmails(['idn'], {
+    'a@bücher.example': true,
+    'ü@bücher.example': true
+  });
+});
+
+test('ip allows IPv4 and IPv6 literals', function() {
+  assertEmails([], {'a@[192.0.2.1]': false});
+  assertEmails(['ip'], {
+    'a@[192.0.2.1]': true,
+    'a@[300.1.1.1]': false,
+    'a@[IPv6:2001:db8::1]': true,
+    'a@[IPv6:2001:db8::g]': false
+  });
+});
+
+test('nodisposable rejects disposable domains and their subdomains',
+    function() {
+  assertEmails(['nodisposable'], {
+    'a@mailinator.com': false,
+    'a@x.mailinator.com': false,
+    'a@notmailinator.com': true
+  });
+});
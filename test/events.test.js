@@ -0,0 +1,161 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helper = require('./helper');
+
+var FORM = '<form novalidate>' +
+    '<ins id="a-err" class="v-error">A is required.</ins>' +
+    '<input name="a">' +
+    '<ins id="b-err" class="v-error">B is required.</ins>' +
+    '<input name="b">' +
+    '</form>';
+var EVENTS = ['beforevalidate', 'fieldinvalid', 'fieldvalid', 'aftervalidate',
+              'validsubmit'];
+
+/**
+ * Records the validation events fired on a form.
+ * @param {HTMLFormElement} form Form.
+ * @return {Array} Receives the type of each event and the field it names.
+ */
+function record(form) {
+  var log = [];
+  EVENTS.forEach(function(type) {
+    form.addEventListener(type, function(e) {
+      log.push(type + (e.detail['field'] ? ':' + e.detail['field'] : ''));
+    });
+  });
+  return log;
+}
+
+/**
+ * Submits a form as the browser would.
+ * @param {HTMLFormElement} form Form.
+ * @return {boolean} True if the submission went ahead.
+ */
+function submit(form) {
+  var event = new form.ownerDocument.defaultView.Event('submit',
+      {cancelable: true});
+  form.dispatchEvent(event);
+  return !event.defaultPrevented;
+}
+
+test('submit fires validation events in order', function() {
+  var page = helper.page(FORM);
+  var log = record(page.form);
+
+  assert.strictEqual(submit(page.form), false);
+  assert.deepStrictEqual(log, ['beforevalidate', 'fieldinvalid:a',
+                               'fieldinvalid:b', 'aftervalidate']);
+
+  log.length = 0;
+  page.form.elements['a'].value = 'x';
+  page.form.elements['b'].value = 'y';
+  assert.strictEqual(submit(page.form), true);
+  assert.deepStrictEqual(log, ['beforevalidate', 'fieldvalid:a',
+                               'fieldvalid:b', 'aftervalidate',
+                               'validsubmit']);
+});
+
+test('other submit handlers keep working', function() {
+  var page = helper.page(FORM);
+  var calls = 0;
+  page.form.addEventListener('submit', function() {
+    calls++;
+  });
+  page.form.onsubmit = function() {
+    calls += 10;
+  };
+
+  submit(page.form);
+  assert.strictEqual(calls, 11);
+});
+
+test('handlers can change the result', function() {
+  var page = helper.page(FORM);
+  page.form.elements['a'].value = 'x';
+  page.form.addEventListener('fieldinvalid', function(e) {
+    if (e.detail['field'] === 'b') {
+      e.preventDefault();
+    }
+  });
+
+  assert.strictEqual(submit(page.form), true);
+  assert.strictEqual(helper.isShown(page.window, 'b-err'), false);
+
+  page.form.addEventListener('fieldvalid', function(e) {
+    if (e.detail['field'] === 'a') {
+      e.detail['rule'] = {method: 'taken', args: []};
+    }
+  });
+  assert.strictEqual(page.validation.isValid(), false);
+  assert.strictEqual(helper.isShown(page.window, 'a-err'), true);
+});
+
+test('canceling beforevalidate, aftervalidate or validsubmit stops submit',
+    function() {
+  ['beforevalidate', 'aftervalidate', 'validsubmit'].forEach(function(type) {
+    var page = helper.page(FORM);
+    page.form.elements['a'].value = 'x';
+    page.form.elements['b'].value = 'y';
+    page.form.addEventListener(type, function(e) {
+      e.preventDefault();
+    });
+
+    assert.strictEqual(submit(page.form), false, type);
+  });
+});
+
+test('destroy removes listeners and generated elements', function() {
+  var page = helper.page(FORM);
+  var log = record(page.form);
+  page.validation.generateMessages = true;
+  page.validation.summary = true;
+  page.validation.enableLive(10);
+  page.validation.isValid();
+
+  page.validation.destroy();
+  assert.strictEqual(page.form.querySelector('.summary'), null);
+  assert.strictEqual(page.form.querySelector('[role=status]'), null);
+  log.length = 0;
+  assert.strictEqual(submit(page.form), true);
+  assert.deepStrictEqual(log, []);
+});
+
+test('destroy clears errors so a new validator starts afresh', function() {
+  var page = helper.page(FORM);
+  var a = page.form.elements['a'];
+  a.setAttribute('aria-describedby', 'a-hint');
+  page.validation.summary = true;
+  page.validation.customValidity = true;
+  assert.strictEqual(page.validation.isValid(), false);
+  assert.strictEqual(a.checkValidity(), false);
+  assert.strictEqual(a.getAttribute('aria-describedby'), 'a-hint a-err');
+
+  page.validation.destroy();
+  assert.strictEqual(a.checkValidity(), true);
+  assert.strictEqual(a.hasAttribute('aria-invalid'), false);
+  assert.strictEqual(a.getAttribute('aria-describedby'), 'a-hint');
+  assert.strictEqual(helper.isShown(page.window, 'a-err'), false);
+
+  var validation = new page.window.forms.Validation(page.form);
+  page.form.elements['a'].value = 'x';
+  page.form.elements['b'].value = 'y';
+  assert.strictEqual(validation.isValid(), true);
+  assert.strictEqual(page.form.checkValidity(), true);
+  assert.strictEqual(submit(page.form), true);
+});
+
+test('a destroyed validator throws a clear error', function() {
+  var page = helper.page(FORM);
+  page.validation.destroy();
+  page.validation.destroy();
+
+  var methods = ['isValid', 'validate', 'validateField', 'isValidAsync',
+                 'setLocale'];
+  methods.forEach(function(method) {
+    assert.throws(function() {
+      page.validation[method]();
+    }, /the validator has been destroyed/, method);
+  });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helper = require('./helper');
+var Rules = require('../form-rules.js');
+
+test('textareas get the same rules as text inputs', function() {
+  var page = helper.page('<form>' +
+      '<ins id="bio-err" class="v-len-0-5">5 at most.</ins>' +
+      '<textarea name="bio"></textarea>' +
+      '</form>');
+
+  page.form.elements['bio'].value = 'abcdefg';
+  assert.strictEqual(page.validation.validateField('bio'), false);
+  page.form.elements['bio'].value = 'abc';
+  assert.strictEqual(page.validation.validateField('bio'), true);
+});
+
+test('count checks the number of selected options', function() {
+  var page = helper.page('<form>' +
+      '<ins id="tags-err" class="v-count-2-3">2 or 3.</ins>' +
+      '<select name="tags" multiple><option>a</option><option>b</option>' +
+      '<option>c</option><option>d</option></select>' +
+      '</form>');
+  var options = page.form.elements['tags'].options;
+
+  options[0].selected = true;
+  assert.strictEqual(page.validation.validateField('tags'), false);
+  options[1].selected = true;
+  assert.strictEqual(page.validation.validateField('tags'), true);
+  options[2].selected = true;
+  options[3].selected = true;
+  assert.strictEqual(page.validation.validateField('tags'), false);
+});
+
+test('count checks the number of checked boxes of a group', function() {
+  var page = helper.page('<form>' +
+      '<ins id="days-err" class="v-count-2">2 at least.</ins>' +
+      '<input name="days[]" type="checkbox" value="mon">' +
+      '<input name="days[]" type="checkbox" value="tue">' +
+      '</form>');
+  var boxes = page.form.elements['days[]'];
+
+  boxes[0].checked = true;
+  assert.strictEqual(page.validation.validateField('days'), false);
+  boxes[1].checked = true;
+  assert.strictEqual(page.validation.validateField('days'), true);
+});
+
+test('other rules check each selected value', function() {
+  var page = helper.page('<form>' +
+      '<ins id="codes-err" class="v-alpha">Letters only.</ins>' +
+      '<select name="codes" multiple><option>ab</option><option>12</option>' +
+      '</select>' +
+      '</form>');
+  var options = page.form.elements['codes'].options;
+
+  options[0].selected = true;
+  assert.strictEqual(page.validation.validateField('codes'), true);
+  options[1].selected = true;
+  assert.strictEqual(page.validation.validateField('codes'), false);
+});
+
+test('radio buttons and selects are required by an error message',
+    function() {
+  var page = helper.page('<form>' +
+      '<ins id="size-err" class="error">Pick a size.</ins>' +
+      '<input name="size" type="radio" value="s">' +
+      '<input name="size" type="radio" value="m">' +
+      '<ins id="color-err" class="error">Pick a color.</ins>' +
+      '<select name="color"><option value="">-</option>' +
+      '<option>red</option></select>' +
+      '</form>');
+
+  assert.strictEqual(page.validation.isValid(), false);
+  page.form.elements['size'][1].checked = true;
+  page.form.elements['color'].value = 'red';
+  assert.strictEqual(page.validation.isValid(), true);
+});
+
+test('forms.Rules treats arrays as values of one field', function() {
+  var rules = new Rules();
+
+  assert.strictEqual(rules.validate({tags: ['a', 'b']},
+      {tags: 'count-1-2 alpha'})['valid'], true);
+  assert.strictEqual(rules.validate({tags: ['a', 'b', 'c']},
+      {tags: 'count-1-2'})['valid'], false);
+  assert.strictEqual(rules.validate({tags: ['a', '1']},
+      {tags: 'alpha'})['valid'], false);
+});
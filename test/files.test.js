@@ -0,0 +1,75 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var Rules = require('../form-rules.js');
+
+var PNG = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 1, 2, 3];
+var EXE = [0x4D, 0x5A, 0, 0, 0, 0, 0, 0, 0];
+
+/**
+ * Creates a file.
+ * @param {string} name Filename.
+ * @param {string} type MIME type.
+ * @param {Array|number} content Bytes, or a size to fill with zeros.
+ * @return {File} File.
+ */
+function file(name, type, content) {
+  return new File([new Uint8Array(content)], name, {type: type});
+}
+
+/**
+ * Tests files against a file rule, as a file input would provide them.
+ * @param {forms.Rules} rules Rules.
+ * @param {Array} files Files.
+ * @param {string} rule Rule, e.g. file-maxsize-2K.
+ * @return {boolean|Promise} Result.
+ */
+function check(rules, files, rule) {
+  var parsed = rules.parseRule(rule);
+  return rules.test(parsed['method'], files, parsed['args'], {files: files});
+}
+
+var png = file('a.png', 'image/png', PNG);
+var pdf = file('b.pdf', 'application/pdf', 3000);
+
+test('file checks the extension of each file', function() {
+  var rules = new Rules();
+
+  assert.strictEqual(check(rules, [png], 'file-image'), true);
+  assert.strictEqual(check(rules, [pdf], 'file-image'), false);
+  assert.strictEqual(rules.test('file', 'C:\\fakepath\\x.jpg', ['image']),
+      true);
+  assert.strictEqual(rules.test('file', 'x.exe', ['image']), false);
+});
+
+test('file checks the size of each file and of all files', function() {
+  var rules = new Rules();
+
+  assert.strictEqual(check(rules, [png], 'file-maxsize-2K'), true);
+  assert.strictEqual(check(rules, [png, pdf], 'file-maxsize-2K'), false);
+  assert.strictEqual(check(rules, [pdf], 'file-minsize-1K'), true);
+  assert.strictEqual(check(rules, [png, pdf], 'file-maxtotal-2k'), false);
+});
+
+test('file checks MIME types and the number of files', function() {
+  var rules = new Rules();
+
+  assert.strictEqual(check(rules, [png], 'file-mime-image'), true);
+  assert.strictEqual(check(rules, [pdf], 'file-mime-image'), false);
+  assert.strictEqual(
+      check(rules, [pdf], 'file-mime-image/png-application/pdf'), true);
+  assert.strictEqual(check(rules, [png], 'file-count-1'), true);
+  assert.strictEqual(check(rules, [png, pdf], 'file-count-1-1'), false);
+});
+
+test('file-sniff checks the content against the extension',
+    async function() {
+  var rules = new Rules();
+  var fake = file('evil.png', 'image/png', EXE);
+
+  assert.strictEqual(await check(rules, [png], 'file-sniff'), true);
+  assert.strictEqual(await check(rules, [fake], 'file-sniff'), false);
+  assert.strictEqual(await check(rules, [png], 'file-sniff-image'), true);
+  assert.strictEqual(await check(rules, [pdf], 'file-sniff'), false);
+});
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Loads form-rules.js and form-validation.js into a jsdom
+ * window, as a page would with two script tags.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var ROOT = path.join(__dirname, '..');
+var SOURCES = ['form-rules.js', 'form-validation.js'].map(function(name) {
+  return fs.readFileSync(path.join(ROOT, name), 'utf8');
+});
+
+/**
+ * Creates a window whose body holds the given HTML, with both scripts run.
+ * @param {string} html Body HTML.
+ * @return {Window} Window, with forms.Rules and forms.Validation.
+ */
+exports.load = function(html) {
+  var dom = new JSDOM('<!doctype html><body>' + html + '</body>',
+      {runScripts: 'outside-only', url: 'http://localhost/'});
+  SOURCES.forEach(function(source) {
+    dom.window.eval(source);
+  });
+  return dom.window;
+};
+
+/**
+ * Loads a page holding one form and creates a validator for it.
+ * @param {string} html Form HTML, which must have a single form element.
+ * @param {Object|string=} opt_ruleSet Rule set, see importRules.
+ * @return {{window: Window, form: HTMLFormElement,
+ *     validation: forms.Validation}} Page.
+ */
+exports.page = function(html, opt_ruleSet) {
+  var window = exports.load(html);
+  var form = window.document.forms[0];
+  return {
+    window: window,
+    form: form,
+    validation: new window.forms.Validation(form, opt_ruleSet)
+  };
+};
+
+/**
+ * Whether an error message is shown.
+ * @param {Window} window Window.
+ * @param {string} id Id of the error message.
+ * @return {boolean} Whether it is displayed.
+ */
+exports.isShown = function(window, id) {
+  return window.document.getElementById(id).style.display !== 'none';
+};
+
+/**
+ * Fires an event on an element.
+ * @param {Element} element Target.
+ * @param {string} type Event type.
+ */
+exports.fire = function(element, type) {
+  var window = element.ownerDocument.defaultView;
+  element.dispatchEvent(new window.Event(type, {bubbles: true}));
+};
+
+/**
+ * Resolves after a delay, e.g. for debounced handlers.
+ * @param {number} ms Milliseconds.
+ * @return {Promise} Promise.
+ */
+exports.wait = function(ms) {
+  return new Promise(function(resolve) {
+    setTimeout(resolve, ms);
+  });
+};
+
+/**
+ * Copies a value made in a jsdom window into this realm, so that
+ * assert.deepStrictEqual can compare it with literals.
+ * @param {*} value JSON-compatible value.
+ * @return {*} Copy.
+ */
+exports.plain = function(value) {
+  return JSON.parse(JSON.stringify(value));
+};
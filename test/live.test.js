@@ -0,0 +1,67 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helper = require('./helper');
+
+var FORM = '<form>' +
+    '<ins id="name-err" class="v-error">Required.</ins>' +
+    '<input name="name" type="text">' +
+    '<ins id="email-err" class="v-email">Invalid email.</ins>' +
+    '<input name="email" type="text" value="not-an-email">' +
+    '</form>';
+
+test('a field is validated alone when it loses focus', function() {
+  var page = helper.page(FORM);
+  page.validation.hideAllErrors();
+  page.validation.enableLive();
+
+  page.form.elements['email'].dispatchEvent(
+      new page.window.FocusEvent('blur'));
+  assert.strictEqual(helper.isShown(page.window, 'email-err'), true);
+  assert.strictEqual(helper.isShown(page.window, 'name-err'), false);
+});
+
+test('a field is validated when its value changes', function() {
+  var page = helper.page(FORM);
+  page.validation.hideAllErrors();
+  page.validation.enableLive();
+
+  var email = page.form.elements['email'];
+  helper.fire(email, 'change');
+  assert.strictEqual(helper.isShown(page.window, 'email-err'), true);
+  email.value = 'a@b.com';
+  helper.fire(email, 'change');
+  assert.strictEqual(helper.isShown(page.window, 'email-err'), false);
+});
+
+test('typing validates once the delay has passed', async function() {
+  var page = helper.page(FORM);
+  page.validation.hideAllErrors();
+  page.validation.enableLive(10);
+
+  var email = page.form.elements['email'];
+  helper.fire(email, 'input');
+  assert.strictEqual(helper.isShown(page.window, 'email-err'), false);
+  await helper.wait(30);
+  assert.strictEqual(helper.isShown(page.window, 'email-err'), true);
+});
+
+test('disableLive stops validating on events', function() {
+  var page = helper.page(FORM);
+  page.validation.hideAllErrors();
+  page.validation.enableLive();
+  page.validation.disableLive();
+
+  helper.fire(page.form.elements['email'], 'change');
+  assert.strictEqual(helper.isShown(page.window, 'email-err'), false);
+});
+
+test('validateField only shows the messages of its field', function() {
+  var page = helper.page(FORM);
+  page.validation.hideAllErrors();
+
+  assert.strictEqual(page.validation.validateField('email'), false);
+  assert.strictEqual(helper.isShown(page.window, 'email-err'), true);
+  assert.strictEqual(helper.isShown(page.window, 'name-err'), false);
+});
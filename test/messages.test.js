@@ -0,0 +1,86 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helper = require('./helper');
+
+/**
+ * Creates a validator for an empty form.
+ * @return {forms.Validation} Validator.
+ */
+function validation() {
+  return helper.page('<form></form>').validation;
+}
+
+test('formatMessage fills templates with the rule args', function() {
+  var v = validation();
+
+  assert.strictEqual(v.formatMessage({method: 'len', args: ['2', '40']}),
+      'Please enter between 2 and 40 characters.');
+  assert.strictEqual(v.formatMessage({method: 'len', args: ['2']}),
+      'Please enter at least 2 characters.');
+  assert.strictEqual(v.formatMessage({method: 'zzz', args: []}),
+      'Please enter a valid value.');
+});
+
+test('templates for a first arg and arity are both reachable', function() {
+  var v = validation();
+
+  assert.strictEqual(
+      v.formatMessage({method: 'file', args: ['count', '1', '3']}),
+      'Please choose between 1 and 3 files.');
+  assert.strictEqual(v.formatMessage({method: 'file', args: ['count', '2']}),
+      'Please choose at least 2 files.');
+  assert.strictEqual(
+      v.formatMessage({method: 'file', args: ['height', '10']}),
+      'Please choose an image at least 10 pixels high.');
+});
+
+test('empty error messages get generated text', function() {
+  var page = helper.page('<form>' +
+      '<ins id="name-err" class="v-error v-len-2-5"></ins>' +
+      '<input name="name" type="text" value="a">' +
+      '<ins id="code-err" class="v-error">Custom text.</ins>' +
+      '<input name="code" type="text">' +
+      '</form>');
+  var document = page.window.document;
+  page.validation.generateMessages = true;
+
+  page.validation.isValid();
+  assert.strictEqual(document.getElementById('name-err').textContent,
+      'Please enter between 2 and 5 characters.');
+  assert.strictEqual(document.getElementById('code-err').textContent,
+      'Custom text.');
+});
+
+test('rules without an error message get a generated element', function() {
+  var page = helper.page('<form><input name="a"></form>',
+      {a: ['required', 'len-3']});
+  page.validation.generateMessages = true;
+
+  page.validation.isValid();
+  var message = page.window.document.getElementById('a-err');
+  assert.strictEqual(message.textContent, 'This field is required.');
+  assert.strictEqual(message.previousSibling, page.form.elements['a']);
+  page.form.elements['a'].value = 'x';
+  page.validation.isValid();
+  assert.strictEqual(message.textContent,
+      'Please enter at least 3 characters.');
+});
+
+test('setLocale rewrites generated messages from the catalog', function() {
+  var page = helper.page('<form>' +
+      '<ins id="name-err" class="v-error v-len-2-5"></ins>' +
+      '<input name="name" type="text" value="a">' +
+      '</form>');
+  var v = page.validation;
+  v.generateMessages = true;
+  v.isValid();
+
+  v.addCatalog('de', {'len': 'Zwischen {min} und {max} Zeichen.'});
+  v.setLocale('de');
+  assert.strictEqual(page.window.document.getElementById('name-err')
+      .textContent, 'Zwischen 2 und 5 Zeichen.');
+  assert.strictEqual(v.formatMessage({method: 'required', args: []}),
+      'This field is required.');
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helper = require('./helper');
+var Rules = require('../form-rules.js');
+
+test('normalizeValues applies each field\'s normalizers in order',
+    function() {
+  var rules = new Rules();
+  var ruleSet = {
+    email: 'normalize(trim, lowercase) email',
+    phone: ['normalize-phone-44', 'phone'],
+    pc: 'normalize(postcode, gb) required',
+    zip: 'normalize(postcode, us)',
+    name: 'normalize(trim, collapse, nfc) len(1, 5)',
+    pin: 'normalize(digits) len(4, 4)'
+  };
+  var values = {
+    email: '  User@Example.COM ',
+    phone: '020 7946 0958',
+    pc: ' sw1a1aa',
+    zip: '123456789',
+    name: ' a   é ',
+    pin: '12-34'
+  };
+
+  assert.deepStrictEqual(rules.normalizeValues(values, ruleSet), {
+    email: 'user@example.com',
+    phone: '+442079460958',
+    pc: 'SW1A 1AA',
+    zip: '12345-6789',
+    name: 'a é',
+    pin: '1234'
+  });
+  assert.strictEqual(rules.validate(values, ruleSet)['valid'], true);
+});
+
+test('normalizers leave values they cannot clean up', function() {
+  var rules = new Rules();
+  var normalize = function(value, args) {
+    return rules.normalize(value, [{method: 'normalize', args: args}]);
+  };
+
+  assert.strictEqual(normalize('00 1 (555) 555-5555', ['phone']),
+      '+15555555555');
+  assert.strictEqual(normalize('call me', ['phone', '44']), 'call me');
+  assert.strictEqual(normalize('12345', ['postcode', 'us']), '12345');
+});
+
+test('a misspelt normalizer fails its rule instead of throwing', function() {
+  var rules = new Rules();
+
+  assert.strictEqual(
+      rules.normalize(' x ', [{method: 'normalize', args: ['trmi']}]), ' x ');
+  var report = rules.validate({email: 'a@b.com'},
+      {email: 'normalize(lowercsae) email'});
+  assert.strictEqual(report['valid'], false);
+  assert.strictEqual(report['fields']['email']['failed'][0]['method'],
+      'normalize');
+
+  var page = helper.page('<form>' +
+      '<input name="email" data-rules="normalize(trmi) email">' +
+      '</form>');
+  page.form.elements['email'].value = 'a@b.com';
+  var event = new page.window.Event('submit', {cancelable: true});
+
+  assert.strictEqual(page.validation.isValid(), false);
+  page.form.dispatchEvent(event);
+  assert.strictEqual(event.defaultPrevented, true);
+});
+
+test('addNormalizer registers a normalizer', function() {
+  var page = helper.page('<form>' +
+      '<ins id="slug-err" class="v-normalize-slug v-alphanum">Invalid.</ins>' +
+      '<input name="slug">' +
+      '</form>');
+  page.validation.addNormalizer('slug', function(value) {
+    return value.toLowerCase().replace(/[^a-z0-9]+/g, '');
+  });
+
+  page.form.elements['slug'].value = 'Hello World!';
+  assert.strictEqual(page.validation.validateField('slug'), true);
+  assert.strictEqual(page.form.elements['slug'].value, 'Hello World!');
+});
+
+test('fields are validated normalized but left as typed', function() {
+  var page = helper.page('<form>' +
+      '<input name="email" data-rules="normalize(trim, lowercase) email">' +
+      '<input name="confirm" data-rules="match(email)">' +
+      '<ins id="bio-err" class="v-error" data-rules="normalize(trim)">' +
+      'Required.</ins>' +
+      '<textarea name="bio"></textarea>' +
+      '</form>');
+  var elements = page.form.elements;
+  elements['email'].value = ' A@B.com ';
+  elements['confirm'].value = 'a@b.com';
+
+  elements['bio'].value = '   ';
+  assert.strictEqual(page.validation.isValid(), false);
+  elements['bio'].value = ' hi ';
+  assert.strictEqual(page.validation.isValid(), true);
+  assert.strictEqual(elements['email'].value, ' A@B.com ');
+});
+
+test('writeNormalized writes values back on change and submit', function() {
+  var page = helper.page('<form>' +
+      '<input name="email" data-rules="normalize(trim, lowercase)">' +
+      '<input name="pc">' +
+      '<ins id="pc-err" class="v-normalize-postcode-nl">Invalid.</ins>' +
+      '<button id="send" type="submit">Send</button>' +
+      '</form>');
+  var elements = page.form.elements;
+  page.validation.writeNormalized = true;
+  page.validation.enableLive();
+  page.form.addEventListener('submit', function(e) {
+    e.preventDefault();
+  });
+  elements['email'].value = ' A@B.com ';
+  elements['pc'].value = '1234ab';
+
+  elements['email'].dispatchEvent(new page.window.FocusEvent('blur'));
+  assert.strictEqual(elements['email'].value, 'a@b.com');
+  assert.strictEqual(elements['pc'].value, '1234ab');
+  page.window.document.getElementById('send').click();
+  assert.strictEqual(elements['pc'].value, '1234 AB');
+});
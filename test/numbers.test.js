@@ -0,0 +1,58 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helper = require('./helper');
+var Rules = require('../form-rules.js');
+
+test('min, max and range accept decimals and negatives', function() {
+  var rules = new Rules();
+
+  assert.strictEqual(rules.test('min', '-1.5', ['-2']), true);
+  assert.strictEqual(rules.test('min', '-2.5', ['-2']), false);
+  assert.strictEqual(rules.test('max', '3.14', ['3.2']), true);
+  assert.strictEqual(rules.test('max', '1e3', ['999']), false);
+  assert.strictEqual(rules.test('range', '-40', ['-40', '60']), true);
+  assert.strictEqual(rules.test('range', '60.01', ['-40', '60']), false);
+});
+
+test('numeric rules reject values that are not numbers', function() {
+  var rules = new Rules();
+
+  assert.strictEqual(rules.test('min', '12abc', ['0']), false);
+  assert.strictEqual(rules.test('range', '', ['0', '1']), false);
+  assert.strictEqual(rules.test('integer', '0x10'), false);
+});
+
+test('integer accepts whole numbers only', function() {
+  var rules = new Rules();
+
+  assert.strictEqual(rules.test('integer', '-42'), true);
+  assert.strictEqual(rules.test('integer', '4.0'), true);
+  assert.strictEqual(rules.test('integer', '4.5'), false);
+});
+
+test('step counts steps from the base despite rounding', function() {
+  var rules = new Rules();
+
+  assert.strictEqual(rules.test('step', '0.3', ['0.1']), true);
+  assert.strictEqual(rules.test('step', '0.35', ['0.1']), false);
+  assert.strictEqual(rules.test('step', '7', ['5', '2']), true);
+  assert.strictEqual(rules.test('step', '8', ['5', '2']), false);
+});
+
+test('a double hyphen in a class name makes a negative arg', function() {
+  var page = helper.page('<form>' +
+      '<ins id="temp-err" class="v-range--40-60">Out of range.</ins>' +
+      '<input name="temp" type="text">' +
+      '</form>');
+  var temp = page.form.elements['temp'];
+
+  assert.deepStrictEqual(
+      helper.plain(page.validation.exportRules()['temp'][0]['args']),
+      ['-40', '60']);
+  temp.value = '-12.5';
+  assert.strictEqual(page.validation.validateField('temp'), true);
+  temp.value = '-41';
+  assert.strictEqual(page.validation.validateField('temp'), false);
+});
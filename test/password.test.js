@@ -0,0 +1,99 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helper = require('./helper');
+var Rules = require('../form-rules.js');
+
+var POLICY = ['upper', 'digit', 'symbol', 'repeat', '2', 'sequence', '3',
+              'blocklist', 'entropy', '50'];
+
+test('passwordStrength lists the requirements a password fails',
+    function() {
+  var rules = new Rules();
+
+  assert.deepStrictEqual(rules.passwordStrength('password', POLICY),
+      {score: 0, entropy: 38,
+       problems: ['upper', 'digit', 'symbol', 'entropy', 'common']});
+  assert.deepStrictEqual(rules.passwordStrength('aaaaaaaaaaaa',
+      POLICY)['problems'],
+      ['upper', 'digit', 'symbol', 'entropy', 'repeat']);
+  assert.deepStrictEqual(rules.passwordStrength('abcdefgh1',
+      POLICY)['problems'], ['upper', 'symbol', 'entropy', 'sequence']);
+  assert.deepStrictEqual(rules.passwordStrength('xK9#mQ2$vL7@', POLICY),
+      {score: 3, entropy: 79, problems: []});
+});
+
+test('the score follows entropy, except for common passwords', function() {
+  var rules = new Rules();
+
+  assert.strictEqual(
+      rules.passwordStrength('correct horse battery staple')['score'], 4);
+  assert.strictEqual(rules.passwordStrength('password123!')['score'], 0);
+});
+
+test('not-FIELD rejects passwords containing that field', function() {
+  var rules = new Rules();
+  var ruleSet = {p: 'password-len-10-upper-digit-not-u-not-e'};
+
+  assert.strictEqual(rules.validate({u: 'johnny', e: 'x@y.com',
+      p: 'Johnny!2024x'}, ruleSet)['valid'], false);
+  assert.strictEqual(rules.validate({u: 'bob', e: 'x@y.com',
+      p: 'Secure!Pass9'}, ruleSet)['valid'], true);
+  assert.deepStrictEqual(rules.passwordStrength('Mail4ann!x', ['not', 'e'],
+      {e: 'ann@example.com'})['problems'], ['personal']);
+});
+
+test('unknown password args fail the rule instead of throwing', function() {
+  var rules = new Rules();
+
+  assert.strictEqual(
+      rules.validate({p: 'Secure!Pass9'}, {p: 'password-strnog'})['valid'],
+      false);
+  assert.deepStrictEqual(
+      rules.passwordStrength('Secure!Pass9', ['len', '10', 'not'])['problems'],
+      ['args']);
+
+  var page = helper.page('<form>' +
+      '<ins id="pw-err" class="v-error v-password-len-10-upprr">Weak.</ins>' +
+      '<input name="pw" type="password">' +
+      '<meter id="meter"></meter>' +
+      '</form>');
+  var pw = page.form.elements['pw'];
+  page.validation.bindStrengthMeter('pw',
+      page.window.document.getElementById('meter'));
+
+  pw.value = 'Xq7#mTz!9pLw';
+  helper.fire(pw, 'input');
+  assert.strictEqual(page.validation.isValid(), false);
+});
+
+test('bindStrengthMeter updates meters as the user types', function() {
+  var page = helper.page('<form>' +
+      '<input name="user" value="alice">' +
+      '<ins id="pw-err" class="v-error v-password-len-10-not-user">' +
+      'Weak.</ins>' +
+      '<input name="pw" type="password">' +
+      '<meter id="meter"></meter><span id="label"></span>' +
+      '</form>');
+  var document = page.window.document;
+  var meter = document.getElementById('meter');
+  var label = document.getElementById('label');
+  var pw = page.form.elements['pw'];
+  page.validation.bindStrengthMeter('pw', meter);
+  page.validation.bindStrengthMeter('pw', label);
+
+  pw.value = 'Alice12345678!';
+  helper.fire(pw, 'input');
+  assert.strictEqual(meter.value, 0);
+  assert.strictEqual(label.getAttribute('data-score'), '0');
+  assert.strictEqual(label.getAttribute('data-strength'), 'very-weak');
+  assert.deepStrictEqual(
+      helper.plain(page.validation.passwordStrength('pw'))['problems'],
+      ['personal']);
+
+  pw.value = 'Xq7#mTz!9pLw';
+  helper.fire(pw, 'input');
+  assert.strictEqual(meter.value, 3);
+  assert.strictEqual(page.validation.isValid(), true);
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helper = require('./helper');
+
+var FORM = '<form>' +
+    '<ins id="user-0-err" class="v-error v-m">Required.</ins>' +
+    '<ins id="user-1-err" class="v-m v-alpha">Letters only.</ins>' +
+    '<ins id="user-2-err" class="v-m v-len-2-5">2 to 5 letters.</ins>' +
+    '<input name="user" type="text">' +
+    '<ins id="agree-err" class="v-error">Please agree.</ins>' +
+    '<input name="agree" type="checkbox">' +
+    '</form>';
+
+test('validate reports each field and its failed rules', function() {
+  var page = helper.page(FORM);
+  page.form.elements['user'].value = 'abc123x';
+
+  assert.deepStrictEqual(helper.plain(page.validation.validate()), {
+    valid: false,
+    firstInvalid: 'user',
+    firstErrorId: 'user-1-err',
+    fields: {
+      user: {
+        valid: false,
+        errorIds: ['user-0-err', 'user-1-err', 'user-2-err'],
+        failed: [
+          {method: 'alpha', args: [], errorId: 'user-1-err'},
+          {method: 'len', args: ['2', '5'], errorId: 'user-2-err'}
+        ]
+      },
+      agree: {
+        valid: false,
+        errorIds: ['agree-err'],
+        failed: [{method: 'error', args: [], errorId: 'agree-err'}]
+      }
+    }
+  });
+});
+
+test('validate does not show or hide error messages', function() {
+  var page = helper.page(FORM);
+  page.validation.hideAllErrors();
+
+  page.validation.validate();
+  assert.strictEqual(helper.isShown(page.window, 'user-0-err'), false);
+  assert.strictEqual(helper.isShown(page.window, 'agree-err'), false);
+});
+
+test('a valid form has no failed rules', function() {
+  var page = helper.page(FORM);
+  page.form.elements['user'].value = 'abc';
+  page.form.elements['agree'].checked = true;
+
+  var report = page.validation.validate();
+  assert.strictEqual(report['valid'], true);
+  assert.strictEqual(report['firstInvalid'], null);
+  assert.strictEqual(report['fields']['user']['failed'].length, 0);
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helper = require('./helper');
+
+test('exportRules returns the rules of each field in order', function() {
+  var page = helper.page('<form>' +
+      '<ins id="serial-0-err" class="v-error v-m">Required.</ins>' +
+      '<ins id="serial-1-err" class="v-m v-len-4-8">4 to 8.</ins>' +
+      '<input name="serial" type="text">' +
+      '</form>');
+
+  assert.deepStrictEqual(helper.plain(page.validation.exportRules()), {
+    serial: [
+      {method: 'error', args: [], errorId: 'serial-0-err'},
+      {method: 'len', args: ['4', '8'], errorId: 'serial-1-err'}
+    ]
+  });
+});
+
+test('exportRules makes implicit required rules explicit', function() {
+  var page = helper.page('<form>' +
+      '<input name="agree" type="checkbox">' +
+      '<ins id="agree-err" class="error">Please agree.</ins>' +
+      '<textarea name="note"></textarea>' +
+      '<ins id="note-err" class="error">Required.</ins>' +
+      '</form>');
+
+  assert.deepStrictEqual(helper.plain(page.validation.exportRules()), {
+    agree: [{method: 'required', args: [], errorId: 'agree-err'}],
+    note: [{method: 'required', args: [], errorId: 'note-err'}]
+  });
+});
+
+test('an exported rule set validates the form the same way', function() {
+  var page = helper.page('<form>' +
+      '<input name="agree" type="checkbox">' +
+      '<ins id="agree-err" class="error">Please agree.</ins>' +
+      '</form>');
+  var json = JSON.stringify(page.validation.exportRules());
+  var imported = new page.window.forms.Validation(page.form, json);
+
+  assert.strictEqual(imported.isValid(), false);
+  page.form.elements['agree'].checked = true;
+  assert.strictEqual(imported.isValid(), true);
+});
+
+test('importRules finds error messages by errorId', function() {
+  var page = helper.page('<form>' +
+      '<span id="code-required">Required.</span>' +
+      '<span id="code-len">Too short.</span>' +
+      '<input name="code" type="text" value="ab">' +
+      '</form>', {
+        code: [{method: 'required', errorId: 'code-required'},
+               {method: 'len', args: ['3'], errorId: 'code-len'}]
+      });
+
+  assert.strictEqual(page.validation.isValid(), false);
+  assert.strictEqual(helper.isShown(page.window, 'code-required'), false);
+  assert.strictEqual(helper.isShown(page.window, 'code-len'), true);
+  page.form.elements['code'].value = 'abc';
+  assert.strictEqual(page.validation.isValid(), true);
+  assert.strictEqual(helper.isShown(page.window, 'code-len'), false);
+});
+
+test('rules for fields the form does not render are ignored', function() {
+  var page = helper.page('<form>' +
+      '<input name="code" type="text">' +
+      '</form>', {code: 'required', missing: 'required len(3)'});
+
+  assert.strictEqual(page.validation.isValid(), false);
+  assert.deepStrictEqual(Object.keys(page.validation.validate()['fields']),
+      ['code']);
+  page.form.elements['code'].value = 'abc';
+  assert.strictEqual(page.validation.isValid(), true);
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var Rules = require('../form-rules.js');
+
+test('form-rules.js loads in Node without a DOM or globals', function() {
+  assert.strictEqual(typeof Rules, 'function');
+  assert.strictEqual(typeof global.goog, 'undefined');
+  assert.strictEqual(typeof global.forms, 'undefined');
+  assert.strictEqual(typeof global.document, 'undefined');
+});
+
+test('validate checks an object of values against a rule set', function() {
+  var rules = new Rules();
+  var ruleSet = {name: 'required len-2-40', email: 'required email'};
+
+  var report = rules.validate({name: 'A', email: 'a@example.com'}, ruleSet);
+  assert.strictEqual(report['valid'], false);
+  assert.strictEqual(report['firstInvalid'], 'name');
+  assert.deepStrictEqual(report['fields']['name']['failed'],
+      [{method: 'len', args: ['2', '40'], errorId: null}]);
+  assert.strictEqual(report['fields']['email']['valid'], true);
+
+  assert.strictEqual(rules.validate({name: 'Ada', email: 'a@example.com'},
+      ruleSet)['valid'], true);
+});
+
+test('test runs a single rule', function() {
+  var rules = new Rules();
+
+  assert.strictEqual(rules.test('alpha', 'abc'), true);
+  assert.strictEqual(rules.test('alpha', 'abc1'), false);
+  assert.strictEqual(rules.test('len', 'abc', ['1', '2']), false);
+});
+
+test('validateAsync waits for asynchronous validators', async function() {
+  var rules = new Rules();
+  rules.addValidator('free', function(value) {
+    return Promise.resolve(value !== 'admin');
+  });
+
+  assert.strictEqual((await rules.validateAsync({user: 'admin'},
+      {user: 'free'}))['valid'], false);
+  assert.strictEqual((await rules.validateAsync({user: 'ada'},
+      {user: 'free'}))['valid'], true);
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helper = require('./helper');
+
+var FORM = '<form novalidate>' +
+    '<fieldset id="step1">' +
+    '<input name="a" data-rules="required">' +
+    '<ins id="a-err" class="v-error">A is required.</ins>' +
+    '</fieldset>' +
+    '<fieldset id="step2" data-group="publish">' +
+    '<input name="b" data-rules="required">' +
+    '<ins id="b-err" class="v-error">B is required.</ins>' +
+    '</fieldset>' +
+    '<input name="c" data-group="draft publish" data-rules="required">' +
+    '<ins id="c-err" class="v-error">C is required.</ins>' +
+    '<button id="publish" type="submit" data-validate="publish">P</button>' +
+    '<button id="draft" type="submit" data-validate="draft">D</button>' +
+    '<button id="skip" type="submit" formnovalidate>S</button>' +
+    '</form>';
+
+/**
+ * Lists the error messages shown on a page.
+ * @param {Object} page Page, see helper.page.
+ * @return {Array} Ids of the shown messages.
+ */
+function shown(page) {
+  return ['a-err', 'b-err', 'c-err'].filter(function(id) {
+    return helper.isShown(page.window, id);
+  });
+}
+
+test('isValid can be limited to a container', function() {
+  var page = helper.page(FORM);
+  var step1 = page.window.document.getElementById('step1');
+  page.validation.hideAllErrors();
+
+  assert.strictEqual(page.validation.isValid(null, step1), false);
+  assert.deepStrictEqual(shown(page), ['a-err']);
+  page.form.elements['a'].value = 'x';
+  assert.strictEqual(page.validation.isValid(null, step1), true);
+});
+
+test('isValid can be limited to a validation group', function() {
+  var page = helper.page(FORM);
+  page.validation.hideAllErrors();
+
+  assert.deepStrictEqual(
+      Object.keys(page.validation.validate(null, 'draft')['fields']), ['c']);
+  assert.strictEqual(page.validation.isValid(null, 'draft'), false);
+  assert.deepStrictEqual(shown(page), ['c-err']);
+  assert.strictEqual(page.validation.isValid(null, 'publish'), false);
+  assert.deepStrictEqual(shown(page), ['b-err', 'c-err']);
+
+  page.validation.hideAllErrors('draft');
+  assert.deepStrictEqual(shown(page), ['b-err']);
+});
+
+test('submit buttons validate their group', function() {
+  var page = helper.page(FORM);
+  var scopes = [];
+  page.form.addEventListener('validsubmit', function(e) {
+    scopes.push(e.detail['scope']);
+    e.preventDefault();
+  });
+  page.form.addEventListener('submit', function(e) {
+    e.preventDefault();
+  });
+  page.form.elements['c'].value = 'y';
+
+  page.window.document.getElementById('draft').click();
+  assert.deepStrictEqual(scopes, ['draft']);
+  page.window.document.getElementById('publish').click();
+  assert.deepStrictEqual(scopes, ['draft']);
+  page.window.document.getElementById('skip').click();
+  assert.deepStrictEqual(scopes, ['draft', null]);
+});
+
+test('scoped passes keep the summary of other fields', function() {
+  var page = helper.page('<form>' +
+      '<fieldset id="step1"><input name="a" data-rules="required">' +
+      '</fieldset>' +
+      '<fieldset id="step2"><input name="b" data-rules="required">' +
+      '</fieldset>' +
+      '</form>');
+  var document = page.window.document;
+  var links = function() {
+    return Array.from(document.querySelectorAll('.summary a'),
+        function(link) {
+          return link.getAttribute('href');
+        });
+  };
+  page.validation.summary = true;
+  page.validation.generateMessages = true;
+
+  page.validation.isValid();
+  assert.deepStrictEqual(links(), ['#a', '#b']);
+  page.form.elements['a'].value = 'x';
+  page.validation.isValid(null, document.getElementById('step1'));
+  assert.deepStrictEqual(links(), ['#b']);
+  page.validation.isValid(null, document.getElementById('step2'));
+  assert.deepStrictEqual(links(), ['#b']);
+});
+
+test('an empty group is valid', async function() {
+  var page = helper.page(FORM);
+
+  assert.strictEqual(await page.validation.isValidAsync(null, 'none'), true);
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helper = require('./helper');
+
+var FORM = '<form novalidate>' +
+    '<input name="a" value="x">' +
+    '<input name="c[]" type="checkbox" value="1">' +
+    '<input name="c[]" type="checkbox" value="2" checked>' +
+    '<select name="s"><option>1</option><option>2</option></select>' +
+    '<input name="r" data-rules="required">' +
+    '<button id="send" type="submit">Send</button>' +
+    '</form>';
+
+/**
+ * Fires beforeunload on the window of a page.
+ * @param {Object} page Page, see helper.page.
+ * @return {boolean} True if a handler asked to stay on the page.
+ */
+function unload(page) {
+  var event = new page.window.Event('beforeunload', {cancelable: true});
+  page.window.dispatchEvent(event);
+  return event.defaultPrevented;
+}
+
+/**
+ * Loads the form with submission itself stopped, as it cannot navigate.
+ * @return {Object} Page, see helper.page.
+ */
+function statePage() {
+  var page = helper.page(FORM);
+  page.form.addEventListener('submit', function(e) {
+    e.preventDefault();
+  });
+  return page;
+}
+
+test('isDirty compares fields with their initial values', function() {
+  var page = statePage();
+  var elements = page.form.elements;
+
+  assert.strictEqual(page.validation.isDirty(), false);
+  elements['a'].value = 'y';
+  assert.strictEqual(page.validation.isDirty(), true);
+  assert.strictEqual(page.validation.isDirty('a'), true);
+  assert.strictEqual(page.validation.isDirty('c'), false);
+
+  elements['a'].value = 'x';
+  elements['c[]'][0].checked = true;
+  elements['s'].selectedIndex = 1;
+  assert.strictEqual(page.validation.isDirty('a'), false);
+  assert.strictEqual(page.validation.isDirty('c'), true);
+  assert.strictEqual(page.validation.isDirty('s'), true);
+});
+
+test('values set by scripts before the validator are pristine', function() {
+  var window = helper.load(FORM);
+  var form = window.document.forms[0];
+  form.elements['a'].value = 'restored';
+  form.elements['c[]'][0].checked = true;
+  form.elements['s'].selectedIndex = 1;
+  var validation = new window.forms.Validation(form);
+
+  assert.strictEqual(validation.isDirty(), false);
+  form.elements['a'].value = 'x';
+  assert.strictEqual(validation.isDirty('a'), true);
+  assert.strictEqual(validation.isDirty('c'), false);
+});
+
+test('isTouched tracks fields the user has left', function() {
+  var page = statePage();
+  var a = page.form.elements['a'];
+
+  assert.strictEqual(page.validation.isTouched(), false);
+  a.dispatchEvent(new page.window.FocusEvent('blur'));
+  assert.strictEqual(page.validation.isTouched('a'), true);
+  assert.strictEqual(page.validation.isTouched('s'), false);
+  page.validation.setUntouched();
+  assert.strictEqual(page.validation.isTouched(), false);
+});
+
+test('state classes follow the state of each field', function() {
+  var page = statePage();
+  var a = page.form.elements['a'];
+  page.form.elements['c[]'][0].checked = true;
+  page.validation.enableStateClasses();
+
+  assert.strictEqual(a.className, 'pristine untouched');
+  assert.strictEqual(page.form.elements['c[]'][1].className,
+      'dirty untouched');
+  a.dispatchEvent(new page.window.FocusEvent('blur'));
+  a.value = 'z';
+  helper.fire(a, 'input');
+  assert.strictEqual(a.className, 'touched dirty');
+  page.validation.setPristine('a');
+  assert.strictEqual(a.className, 'touched pristine');
+
+  page.validation.disableStateClasses();
+  assert.strictEqual(a.className, '');
+});
+
+test('the unload guard warns while the form is dirty', function() {
+  var page = statePage();
+  page.validation.enableUnloadGuard();
+
+  assert.strictEqual(unload(page), false);
+  page.form.elements['a'].value = 'y';
+  assert.strictEqual(unload(page), true);
+
+  page.window.document.getElementById('send').click();
+  assert.strictEqual(unload(page), true);
+  page.form.elements['r'].value = 'ok';
+  page.window.document.getElementById('send').click();
+  assert.strictEqual(page.validation.isDirty(), false);
+  assert.strictEqual(unload(page), false);
+});
+
+test('a canceled validsubmit keeps the form dirty', function() {
+  var page = statePage();
+  page.validation.enableUnloadGuard();
+  page.form.addEventListener('validsubmit', function(e) {
+    e.preventDefault();
+  });
+
+  page.form.elements['r'].value = 'ok';
+  page.window.document.getElementById('send').click();
+  assert.strictEqual(page.validation.isDirty(), true);
+  assert.strictEqual(unload(page), true);
+});
+
+test('destroy removes state classes and the unload guard', function() {
+  var page = statePage();
+  page.validation.enableStateClasses();
+  page.validation.enableUnloadGuard();
+  page.form.elements['a'].value = 'y';
+
+  page.validation.destroy();
+  assert.strictEqual(page.form.elements['a'].className, '');
+  assert.strictEqual(unload(page), false);
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helper = require('./helper');
+
+var FORM = '<form>' +
+    '<ins id="name-0-err" class="v-error v-m">Name is required.</ins>' +
+    '<ins id="name-1-err" class="v-m v-alpha">Letters only.</ins>' +
+    '<input id="name" name="name" type="text">' +
+    '<ins id="agree-err" class="v-error">Please agree.</ins>' +
+    '<input id="agree" name="agree" type="checkbox">' +
+    '</form>';
+
+/**
+ * Loads the form with the summary enabled and an invalid name.
+ * @return {Object} Page, see helper.page.
+ */
+function summaryPage() {
+  var page = helper.page(FORM);
+  page.validation.summary = true;
+  page.form.elements['name'].value = '12';
+  page.validation.isValid();
+  return page;
+}
+
+test('the summary lists each shown message with a link', function() {
+  var page = summaryPage();
+  var container = page.validation.summaryContainer;
+
+  assert.strictEqual(container.parentNode, page.form);
+  assert.strictEqual(container.outerHTML, '<div class="summary">' +
+      '<p>Please correct the following errors:</p><ul>' +
+      '<li><a href="#name">Letters only.</a></li>' +
+      '<li><a href="#agree">Please agree.</a></li>' +
+      '</ul></div>');
+});
+
+test('summary links focus their field', function() {
+  var page = summaryPage();
+
+  page.validation.summaryContainer.querySelector('a[href="#agree"]').click();
+  assert.strictEqual(page.window.document.activeElement,
+      page.form.elements['agree']);
+});
+
+test('validating a field updates its summary entry', function() {
+  var page = summaryPage();
+  var container = page.validation.summaryContainer;
+
+  page.form.elements['name'].value = 'Ada';
+  page.validation.validateField('name');
+  assert.deepStrictEqual(Array.from(container.querySelectorAll('a'),
+      function(link) {
+        return link.textContent;
+      }), ['Please agree.']);
+
+  page.form.elements['agree'].checked = true;
+  page.validation.isValid();
+  assert.strictEqual(container.style.display, 'none');
+});
+
+test('the summary can go into a given container', function() {
+  var page = helper.page(FORM + '<div id="errors"></div>');
+  var container = page.window.document.getElementById('errors');
+  page.validation.summary = true;
+  page.validation.summaryContainer = container;
+
+  page.validation.isValid();
+  assert.strictEqual(container.querySelectorAll('li').length, 2);
+});
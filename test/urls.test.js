@@ -0,0 +1,100 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helper = require('./helper');
+var Rules = require('../form-rules.js');
+
+/**
+ * Asserts the result of the url rule for each URL.
+ * @param {Array} args Rule args.
+ * @param {Object} cases Expected result, keyed by URL.
+ * @param {forms.Rules=} opt_rules Rules to use.
+ */
+function assertUrls(args, cases, opt_rules) {
+  var rules = opt_rules || new Rules();
+  for (var url in cases) {
+    assert.strictEqual(rules.test('url', url, args), cases[url], url);
+  }
+}
+
+test('url parses the scheme, host, port and path', function() {
+  assertUrls([], {
+    'http://example.com': true,
+    'https://example.dev/a/b?x=1&y=2#frag': true,
+    'http://user:pw@example.com:8080/p': true,
+    'http://münchen.de/straße': true,
+    'http://example.com/a%20b': true,
+    'http://example.com:99999': false,
+    'http://exa mple.com': false,
+    'http://example.com/%zz': false,
+    'https://-bad.com': false,
+    'http://999.1.1.1': false,
+    'http://': false,
+    'example.com': false
+  });
+});
+
+test('url args choose the schemes and hosts allowed', function() {
+  assertUrls([], {'ftp://example.com': false});
+  assertUrls(['ftp'], {'ftp://example.com': true});
+  assertUrls([], {
+    'http://192.168.0.1/': true,
+    'http://[2001:db8::1]:80/': true,
+    'http://localhost:3000': true
+  });
+  assertUrls(['noip'], {
+    'http://192.168.0.1/': false,
+    'http://[2001:db8::1]/': false
+  });
+  assertUrls(['nolocalhost'], {
+    'http://localhost:3000': false,
+    'http://127.0.0.1': false,
+    'http://[::1]': false
+  });
+});
+
+test('setTopLevelDomains replaces the list used by tld', function() {
+  var rules = new Rules();
+
+  assertUrls(['tld'], {'http://example.com': true}, rules);
+  assert.strictEqual(
+      rules.setTopLevelDomains('# Version 2026\nCOM\nDEV\nXN--P1AI\n'), 3);
+  assertUrls(['tld'], {
+    'http://example.dev': true,
+    'http://example.org': false
+  }, rules);
+  assert.strictEqual(rules.test('email', 'a@пример.рф', ['idn', 'tld']),
+      true);
+});
+
+var TLD_FORM = '<form>' +
+    '<ins id="site-err" class="v-url-tld">Unknown domain.</ins>' +
+    '<input name="site" type="text" value="http://example.com">' +
+    '</form>';
+
+test('loadTopLevelDomains fetches the IANA list', async function() {
+  var page = helper.page(TLD_FORM);
+  var requested = [];
+  page.validation.fetch = function(url) {
+    requested.push(url);
+    return Promise.resolve({ok: true, text: function() {
+      return Promise.resolve('# Version 2026\nDEV\n');
+    }});
+  };
+
+  assert.strictEqual(await page.validation.loadTopLevelDomains('/tlds.txt'),
+      1);
+  assert.deepStrictEqual(requested, ['/tlds.txt']);
+  assert.strictEqual(page.validation.validateField('site'), false);
+});
+
+test('a failed load keeps the current list', async function() {
+  var page = helper.page(TLD_FORM);
+  page.validation.fetch = function() {
+    return Promise.resolve({ok: false, status: 404});
+  };
+
+  await assert.rejects(page.validation.loadTopLevelDomains('/tlds.txt'));
+  assert.strictEqual(page.validation.validateField('site'), true);
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helper = require('./helper');
+
+var FORM = '<form>' +
+    '<ins id="user-err" class="v-reserved-admin-root">Reserved.</ins>' +
+    '<input name="user" type="text">' +
+    '</form>';
+
+test('a registered validator runs for its class name', function() {
+  var page = helper.page(FORM);
+  var calls = [];
+  page.validation.addValidator('reserved', function(value, args, field,
+      form) {
+    calls.push([value, args, field, form]);
+    return args.indexOf(value) < 0;
+  });
+
+  page.form.elements['user'].value = 'admin';
+  assert.strictEqual(page.validation.validateField('user'), false);
+  assert.strictEqual(helper.isShown(page.window, 'user-err'), true);
+  assert.deepStrictEqual(Array.from(calls[0][1]), ['admin', 'root']);
+  assert.strictEqual(calls[0][2], page.form.elements['user']);
+  assert.strictEqual(calls[0][3], page.form);
+
+  page.form.elements['user'].value = 'alice';
+  assert.strictEqual(page.validation.validateField('user'), true);
+  assert.strictEqual(helper.isShown(page.window, 'user-err'), false);
+});
+
+test('registering an existing name replaces the validator', function() {
+  var page = helper.page('<form>' +
+      '<ins id="code-err" class="v-alpha">Letters only.</ins>' +
+      '<input name="code" type="text" value="abc123">' +
+      '</form>');
+
+  assert.strictEqual(page.validation.validateField('code'), false);
+  page.validation.addValidator('alpha', function() {
+    return true;
+  });
+  assert.strictEqual(page.validation.validateField('code'), true);
+});
+
+test('forms.Rules validators get the field name and values', function() {
+  var rules = new (helper.load('').forms.Rules)();
+  rules.addValidator('same', function(value, args, field, form) {
+    return value === form[args[0]] && field === 'b';
+  });
+
+  assert.strictEqual(rules.validate({a: 'x', b: 'x'},
+      {b: 'same-a'})['valid'], true);
+  assert.strictEqual(rules.validate({a: 'x', b: 'y'},
+      {b: 'same-a'})['valid'], false);
+});